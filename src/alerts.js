@@ -0,0 +1,293 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Alert rules, loaded from ALERT_RULES_FILE:
+// {
+//   "webhooks": ["https://hooks.slack.com/services/..."],
+//   "rules": [
+//     { "id": "battery-reserve", "name": "Battery below reserve", "metric": "battery.soc",
+//       "operator": "<", "threshold": 20, "hysteresis": 5, "for": "10m",
+//       "when": { "battery.status": "DISCHARGING" }, "severity": "warning" },
+//     { "id": "mfrr-spike", "source": "prices", "metric": "mfrrUp", "operator": ">", "threshold": 500 },
+//     { "id": "scraper-down", "source": "scraper", "metric": "failing", "operator": "==", "threshold": 1, "for": "1h" }
+//   ]
+// }
+//
+// Sources:
+//   snapshot (default) - evaluated per plant after every scrape. `metric` is a snapshot
+//                        path; a bare device name means its load, a derived metric name its value
+//   prices             - latest point of a /api/prices series, evaluated after every price fetch
+//   scraper            - failing (0/1), consecutiveFailures, secondsSinceSuccess; evaluated
+//                        after every scrape and once a minute
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const SOURCES = ['snapshot', 'prices', 'scraper'];
+const DEVICES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+const DURATION_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_RECENT = 100;
+
+function parseDuration(value) {
+  if (!value) return 0;
+  const match = String(value).match(/^(\d+)([smhd])$/);
+  if (!match) throw new Error(`Invalid duration "${value}". Use e.g. 30s, 10m, 1h`);
+  return parseInt(match[1]) * DURATION_MS[match[2]];
+}
+
+const readPath = (obj, path) =>
+  path.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+
+function readSnapshotMetric(snapshot, metric) {
+  if (DEVICES.includes(metric)) return snapshot[metric]?.load;
+  if (snapshot.derived && snapshot.derived[metric]) return snapshot.derived[metric].value;
+  return readPath(snapshot, metric);
+}
+
+// Webhooks are checked when the rules load: a bad URL must stop startup,
+// not turn up as a failed notification when the first alert fires
+function parseWebhook(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook URL "${url}"`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Webhook URL "${url}" must be http or https`);
+  }
+  return { url, host: parsed.host };
+}
+
+function matchesWhen(when, snapshot) {
+  return Object.entries(when || {}).every(([path, expected]) => {
+    const actual = readPath(snapshot, path);
+    const options = Array.isArray(expected) ? expected : [expected];
+    return options.some(option =>
+      typeof actual === 'string' && typeof option === 'string'
+        ? actual.toUpperCase() === option.toUpperCase()
+        : actual === option);
+  });
+}
+
+class AlertEngine {
+  constructor({ rules = [], webhooks = [] } = {}) {
+    this.webhooks = webhooks.map(parseWebhook);
+    this.rules = rules.map((rule, i) => {
+      const id = rule.id || `rule-${i + 1}`;
+      if (!OPERATORS[rule.operator]) throw new Error(`Rule "${id}": unknown operator "${rule.operator}"`);
+      if (typeof rule.threshold !== 'number') throw new Error(`Rule "${id}": threshold must be a number`);
+      if (!rule.metric) throw new Error(`Rule "${id}": metric is required`);
+      // A rule with an unknown source would never be evaluated, so it could never fire
+      if (rule.source && !SOURCES.includes(rule.source)) {
+        throw new Error(`Rule "${id}": unknown source "${rule.source}". Use ${SOURCES.join(', ')}`);
+      }
+      return {
+        id,
+        name: rule.name || id,
+        source: rule.source || 'snapshot',
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        hysteresis: rule.hysteresis || 0,
+        forMs: parseDuration(rule.for),
+        when: rule.when || null,
+        severity: rule.severity || 'warning'
+      };
+    });
+
+    this.states = new Map(); // `${ruleId}:${subject}` -> { pendingSince, alert }
+    this.recent = [];
+    this.scraperState = { consecutiveFailures: 0, lastSuccess: Date.now() };
+    this.timer = null;
+  }
+
+  static fromFile(filePath, extraWebhooks = []) {
+    const config = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    return new AlertEngine({
+      rules: config.rules || [],
+      webhooks: [...(config.webhooks || []), ...extraWebhooks]
+    });
+  }
+
+  attachScraper(scraper, plants) {
+    this.plants = plants;
+    scraper.on('data', (data) => this.evaluateSnapshot(data));
+    scraper.on('status', (status) => {
+      if (status.state === 'completed') {
+        this.scraperState.consecutiveFailures = 0;
+        this.scraperState.lastSuccess = Date.now();
+      } else if (status.state === 'failed') {
+        this.scraperState.consecutiveFailures++;
+      } else {
+        return;
+      }
+      this.evaluateScraper();
+    });
+  }
+
+  attachPrices(prices) {
+    prices.on('update', (series) => this.evaluatePrices(series));
+  }
+
+  // Scraper rules are also time-based, so check them even when no scrape runs
+  start() {
+    this.timer = setInterval(() => this.evaluateScraper(), 60 * 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  evaluateSnapshot(snapshot) {
+    const plantId = snapshot.plantId || 'default';
+    for (const rule of this.rules.filter(r => r.source === 'snapshot')) {
+      const value = readSnapshotMetric(snapshot, rule.metric);
+      const conditionMet = matchesWhen(rule.when, snapshot);
+      this.evaluate(rule, plantId, value, conditionMet);
+    }
+  }
+
+  evaluatePrices(series) {
+    const now = Date.now();
+    for (const rule of this.rules.filter(r => r.source === 'prices')) {
+      // Latest point that is not in the future (day-ahead prices extend past now)
+      const points = (series[rule.metric] || []).filter(p => Date.parse(p.timestamp) <= now);
+      const latest = points[points.length - 1];
+      this.evaluate(rule, 'market', latest ? latest.value : undefined, true);
+    }
+  }
+
+  evaluateScraper() {
+    const values = {
+      failing: this.scraperState.consecutiveFailures > 0 ? 1 : 0,
+      consecutiveFailures: this.scraperState.consecutiveFailures,
+      secondsSinceSuccess: Math.round((Date.now() - this.scraperState.lastSuccess) / 1000)
+    };
+    for (const rule of this.rules.filter(r => r.source === 'scraper')) {
+      this.evaluate(rule, 'scraper', values[rule.metric], true);
+    }
+  }
+
+  // State machine per rule and subject: ok -> pending (for duration) -> firing -> resolved
+  evaluate(rule, subject, value, conditionMet) {
+    if (typeof value !== 'number') return; // No data - keep the current state
+
+    const key = `${rule.id}:${subject}`;
+    const state = this.states.get(key) || { pendingSince: null, alert: null };
+    this.states.set(key, state);
+    const now = Date.now();
+    const breached = conditionMet && OPERATORS[rule.operator](value, rule.threshold);
+
+    if (state.alert) {
+      if (!conditionMet || this.isCleared(rule, value)) {
+        this.resolve(state, value);
+      } else {
+        state.alert.value = value;
+      }
+      return;
+    }
+
+    if (!breached) {
+      state.pendingSince = null;
+      return;
+    }
+
+    state.pendingSince = state.pendingSince || now;
+    if (now - state.pendingSince >= rule.forMs) {
+      this.fire(rule, subject, state, value);
+    }
+  }
+
+  // A firing alert only clears once the value is back past the threshold by `hysteresis`
+  isCleared(rule, value) {
+    switch (rule.operator) {
+      case '>':
+      case '>=':
+        return value < rule.threshold - rule.hysteresis;
+      case '<':
+      case '<=':
+        return value > rule.threshold + rule.hysteresis;
+      default:
+        return !OPERATORS[rule.operator](value, rule.threshold);
+    }
+  }
+
+  fire(rule, subject, state, value) {
+    const plant = (this.plants || []).find(p => p.id === subject);
+    state.alert = {
+      id: crypto.randomBytes(8).toString('hex'),
+      ruleId: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      subject,
+      plantName: plant ? plant.name : null,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      value,
+      state: 'firing',
+      pendingSince: new Date(state.pendingSince).toISOString(),
+      firedAt: new Date().toISOString(),
+      resolvedAt: null
+    };
+    console.log(`[ALERT] FIRING ${rule.id} (${subject}): ${rule.metric} = ${value} ${rule.operator} ${rule.threshold}`);
+    this.notify(state.alert).catch(error => {
+      console.error(`[ALERT] Notifying ${rule.id} failed:`, error.message);
+    });
+  }
+
+  resolve(state, value) {
+    const alert = state.alert;
+    alert.state = 'resolved';
+    alert.value = value;
+    alert.resolvedAt = new Date().toISOString();
+    console.log(`[ALERT] RESOLVED ${alert.ruleId} (${alert.subject}): ${alert.metric} = ${value}`);
+
+    this.recent.unshift(alert);
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT);
+    state.alert = null;
+    state.pendingSince = null;
+    this.notify(alert).catch(error => {
+      console.error(`[ALERT] Notifying ${alert.ruleId} failed:`, error.message);
+    });
+  }
+
+  formatMessage(alert) {
+    const icon = alert.state === 'firing' ? '🔴' : '✅';
+    const where = alert.plantName ? ` (${alert.plantName})` : alert.subject !== 'market' ? ` (${alert.subject})` : '';
+    const detail = alert.state === 'firing'
+      ? `${alert.metric} = ${alert.value} ${alert.operator} ${alert.threshold}`
+      : `${alert.metric} = ${alert.value}, back within limits`;
+    return `${icon} ${alert.state.toUpperCase()}: ${alert.name}${where} - ${detail}`;
+  }
+
+  // Slack and Teams incoming webhooks both accept a plain `text` field
+  async notify(alert) {
+    const payload = { text: this.formatMessage(alert), alert };
+    await Promise.all(this.webhooks.map(({ url, host }) =>
+      axios.post(url, payload, { timeout: 10000 }).catch(error => {
+        console.error(`[ALERT] Webhook ${host} failed:`, error.message);
+      })));
+  }
+
+  getActive() {
+    return Array.from(this.states.values()).map(s => s.alert).filter(Boolean);
+  }
+
+  getRecent() {
+    return this.recent;
+  }
+}
+
+module.exports = AlertEngine;
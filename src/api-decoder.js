@@ -0,0 +1,134 @@
+// Decodes the Soleron Angular app's own JSON responses (captured from XHR/fetch)
+// into the same shape scrapeEnergyFlow() produces from the DOM.
+//
+// The backend payloads are not documented, so the decoder walks every captured
+// payload looking for device-like objects: something labelled as a solar, grid,
+// battery, car or consumption device (by type/name field or by its property key)
+// that carries a numeric power value. Every such object becomes an entry of
+// `devices`; the fixed per-type fields are built from them.
+
+const { classifyDevice: classify, legacyFields } = require('./devices');
+
+const LABEL_KEYS = ['type', 'deviceType', 'device_type', 'category', 'kind', 'name'];
+const POWER_W_KEYS = ['power', 'load', 'activePower', 'active_power', 'currentPower', 'current_power', 'powerW', 'power_w'];
+const POWER_KW_KEYS = ['powerKw', 'power_kw', 'powerKW', 'loadKw', 'load_kw'];
+const SOC_KEYS = ['soc', 'SoC', 'stateOfCharge', 'state_of_charge', 'batterySoc', 'battery_soc'];
+const STATUS_KEYS = ['status', 'state', 'mode'];
+const ID_KEYS = ['id', 'deviceId', 'device_id', 'serial', 'serialNumber'];
+
+// Plant-level daily energy, e.g. energyToday or dailyYieldKwh (kWh unless the key says Wh/MWh)
+const DAILY_KEY = /today|daily/i;
+
+const MAX_DEPTH = 8;
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const toNumber = (v) => {
+  if (typeof v === 'number' && isFinite(v)) return v;
+  if (typeof v === 'string' && v.trim() !== '' && isFinite(Number(v))) return Number(v);
+  return null;
+};
+
+function readPower(obj) {
+  for (const key of POWER_W_KEYS) {
+    const value = toNumber(obj[key]);
+    if (value !== null) {
+      // Respect an explicit unit next to the value
+      const unit = typeof obj.unit === 'string' ? obj.unit.toLowerCase() : 'w';
+      return Math.round(unit === 'kw' ? value * 1000 : value);
+    }
+  }
+  for (const key of POWER_KW_KEYS) {
+    const value = toNumber(obj[key]);
+    if (value !== null) return Math.round(value * 1000);
+  }
+  return null;
+}
+
+function readFirst(obj, keys, convert) {
+  for (const key of keys) {
+    const value = convert(obj[key]);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function dailyKwh(key, value) {
+  if (/mwh/i.test(key)) return value * 1000;
+  if (/(^|[^k])wh/i.test(key)) return value / 1000;
+  return value;
+}
+
+// Remaining scalar fields of a device object, e.g. { energyToday: 12.3, mode: 'AUTO' }
+function otherValues(obj) {
+  const known = new Set([...LABEL_KEYS, ...POWER_W_KEYS, ...POWER_KW_KEYS, ...SOC_KEYS, ...STATUS_KEYS, ...ID_KEYS, 'unit']);
+  const values = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (known.has(key) || value === null || typeof value === 'object') continue;
+    values[key] = toNumber(value) ?? value;
+  }
+  return values;
+}
+
+function decodeApiPayloads(payloads) {
+  const devices = [];
+  const seen = new Set();
+  const dailyTotals = {};
+  let mfrr = null;
+
+  const visit = (node, keyHint, depth) => {
+    if (depth > MAX_DEPTH || node === null || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, keyHint, depth + 1));
+      return;
+    }
+
+    const label = LABEL_KEYS.map(k => node[k]).find(v => typeof v === 'string') || keyHint;
+    const type = classify(label) || classify(keyHint);
+    const power = readPower(node);
+
+    if (type && power !== null) {
+      // The same device may show up in several responses; unnamed devices are
+      // told apart by their power
+      const name = typeof node.name === 'string' ? node.name : label;
+      const id = ID_KEYS.map(k => node[k]).find(v => v !== undefined && v !== null);
+      const identity = id !== undefined ? `${type}|${id}` : `${type}|${name}|${typeof node.name === 'string' || name === keyHint ? '' : power}`;
+      if (!seen.has(identity)) {
+        seen.add(identity);
+        devices.push({
+          name,
+          type,
+          status: readFirst(node, STATUS_KEYS, v => (typeof v === 'string' ? v.toUpperCase() : null)),
+          load: power,
+          soc: readFirst(node, SOC_KEYS, toNumber),
+          values: otherValues(node)
+        });
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (mfrr === null && /mfrr/i.test(key) && toNumber(value) !== null) {
+        mfrr = toNumber(value);
+      }
+      // Daily values inside a device object belong to that device (see values)
+      if (!(type && power !== null) && DAILY_KEY.test(key) && toNumber(value) !== null && !(key in dailyTotals)) {
+        dailyTotals[key] = dailyKwh(key, toNumber(value));
+      }
+      if (isObject(value) || Array.isArray(value)) {
+        visit(value, key, depth + 1);
+      }
+    }
+  };
+
+  payloads.forEach(payload => visit(payload, null, 0));
+
+  // A single matched device type is more likely a coincidence than a plant payload
+  const result = legacyFields(devices, { preferAggregates: true });
+  const found = Object.keys(result).filter(k => result[k].load !== null);
+  if (found.length < 2) return null;
+
+  return { ...result, mfrr, devices, dailyTotals };
+}
+
+module.exports = { decodeApiPayloads };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+// Credentials come from the environment, never in plain text:
+//   AUTH_USERS="kaspar:scrypt$<salt>$<hash>,other:scrypt$<salt>$<hash>"
+//   API_TOKENS="grafana:<sha256 of token>,script:<sha256 of token>"
+// Generate them with:
+//   node src/auth.js hash <password>
+//   node src/auth.js token <name>
+
+const SESSION_COOKIE = 'soleron_sid';
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// "name:secret,name:secret" -> Map(name -> secret); secrets may contain ':' or '$'
+function parseList(value) {
+  const entries = new Map();
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(e => e.length > 0)) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) throw new Error(`Invalid entry "${entry}", expected name:secret`);
+    entries.set(entry.slice(0, sep), entry.slice(sep + 1));
+  }
+  return entries;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const sep = part.indexOf('=');
+    if (sep < 0) continue;
+    cookies[part.slice(0, sep).trim()] = decodeURIComponent(part.slice(sep + 1).trim());
+  }
+  return cookies;
+}
+
+class Auth {
+  constructor({ users, tokens, sessionTimeoutMinutes = 30 } = {}) {
+    this.users = parseList(users);
+    this.tokens = parseList(tokens);
+    this.sessionTimeout = sessionTimeoutMinutes * 60 * 1000;
+    this.sessions = new Map(); // sid -> { username, createdAt, lastSeen }
+    this.failedLogins = new Map(); // ip -> { count, since }
+
+    for (const [name, stored] of this.users) {
+      if (!stored.startsWith('scrypt$')) {
+        throw new Error(`User "${name}" must use a hashed password (node src/auth.js hash <password>)`);
+      }
+    }
+  }
+
+  isConfigured() {
+    return this.users.size > 0 || this.tokens.size > 0;
+  }
+
+  isLockedOut(ip) {
+    const entry = this.failedLogins.get(ip);
+    if (!entry) return false;
+    if (Date.now() - entry.since > FAILED_LOGIN_WINDOW) {
+      this.failedLogins.delete(ip);
+      return false;
+    }
+    return entry.count >= MAX_FAILED_LOGINS;
+  }
+
+  // Returns a new session id, or null when the credentials are wrong
+  login(username, password, ip) {
+    const stored = this.users.get(username);
+    // Hash even for unknown users so response time doesn't reveal which names exist
+    const valid = verifyPassword(password || '', stored || hashPassword('', 'invalid'));
+
+    if (!stored || !valid) {
+      const entry = this.failedLogins.get(ip) || { count: 0, since: Date.now() };
+      entry.count++;
+      this.failedLogins.set(ip, entry);
+      return null;
+    }
+
+    this.failedLogins.delete(ip);
+    const sid = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    this.sessions.set(sid, { username, createdAt: now, lastSeen: now });
+    return sid;
+  }
+
+  logout(sid) {
+    this.sessions.delete(sid);
+  }
+
+  // Looks up a live session; `touch` extends it (user activity, not background polling)
+  getSession(sid, touch) {
+    const session = this.sessions.get(sid);
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeen > this.sessionTimeout) {
+      this.sessions.delete(sid);
+      return null;
+    }
+    if (touch) session.lastSeen = Date.now();
+    return session;
+  }
+
+  expiresAt(session) {
+    return new Date(session.lastSeen + this.sessionTimeout).toISOString();
+  }
+
+  // Name of the API token matching "Authorization: Bearer <token>", or null
+  verifyToken(token) {
+    if (!token) return null;
+    const hash = Buffer.from(sha256(token), 'hex');
+    for (const [name, stored] of this.tokens) {
+      const expected = Buffer.from(stored, 'hex');
+      if (expected.length === hash.length && crypto.timingSafeEqual(expected, hash)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  // Remove expired sessions, returning their ids
+  sweep() {
+    const expired = [];
+    for (const [sid, session] of this.sessions) {
+      if (Date.now() - session.lastSeen > this.sessionTimeout) {
+        this.sessions.delete(sid);
+        expired.push(sid);
+      }
+    }
+    return expired;
+  }
+
+  // Resolves the caller of a request: { type: 'session' | 'token', name, sid }
+  authenticate(req, touch) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const name = this.verifyToken(header.slice(7).trim());
+      return name ? { type: 'token', name } : null;
+    }
+
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sid ? this.getSession(sid, touch) : null;
+    return session ? { type: 'session', name: session.username, sid, session } : null;
+  }
+
+  sessionCookie(sid, secure) {
+    return `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+  }
+
+  clearCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+}
+
+Auth.hashPassword = hashPassword;
+Auth.sha256 = sha256;
+
+module.exports = Auth;
+
+// CLI helpers for generating credentials
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  if (command === 'hash' && arg) {
+    console.log(hashPassword(arg));
+  } else if (command === 'token' && arg) {
+    const token = crypto.randomBytes(32).toString('hex');
+    console.log(`Token (give to the client): ${token}`);
+    console.log(`API_TOKENS entry:           ${arg}:${sha256(token)}`);
+  } else {
+    console.log('Usage: node src/auth.js hash <password>');
+    console.log('       node src/auth.js token <name>');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,147 @@
+// Electricity cost and mFRR revenue per time slot, from integrated energy
+// counters (kWh, see energy.js) and the normalized price series (EUR/MWh).
+//
+//   importCost    = gridImport × (spot + networkTariff + margin)
+//   exportRevenue = gridExport × spot
+//   mfrrRevenue   = estimate for battery activity while mFRR is being activated:
+//                   discharge during upward activation is paid the mFRR up price,
+//                   charge during downward activation is settled at the mFRR down price
+//   net           = importCost - exportRevenue - mfrrRevenue
+
+const SLOT_MS = 15 * 60 * 1000;
+const RESOLUTIONS = { '15m': SLOT_MS, '1h': 4 * SLOT_MS };
+
+// How long a price point stays valid when looking up a slot
+const PRICE_VALID_MS = {
+  nordpool: 60 * 60 * 1000, // hourly before the switch to 15-minute MTU
+  mfrr: SLOT_MS
+};
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Step lookup: the last point at or before `time` that is still valid
+function priceAt(points, time, validMs) {
+  let found = null;
+  for (const point of points) {
+    const t = Date.parse(point.timestamp);
+    if (t > time) break;
+    found = time - t < validMs ? point : null;
+  }
+  return found ? found.value : null;
+}
+
+class CostCalculator {
+  constructor({ networkTariff = 0, margin = 0 } = {}) {
+    this.networkTariff = networkTariff; // EUR/kWh
+    this.margin = margin; // EUR/kWh
+  }
+
+  // `slots` are 15-minute energy counters in Wh keyed by slot start (ms),
+  // `series` the /api/prices series. Returns rows at the given resolution.
+  calculate(slots, series, resolution = '1h') {
+    const bucketMs = RESOLUTIONS[resolution];
+    if (!bucketMs) {
+      throw new Error(`Invalid resolution "${resolution}". Use 15m or 1h`);
+    }
+
+    const rows = new Map();
+    for (const [key, counters] of Object.entries(slots)) {
+      const slotStart = Number(key);
+      const bucketStart = Math.floor(slotStart / bucketMs) * bucketMs;
+      const row = rows.get(bucketStart) || this.emptyRow(bucketStart, bucketMs);
+      rows.set(bucketStart, row);
+
+      const kwh = (flow) => counters[flow] / 1000;
+      row.gridImport += kwh('gridImport');
+      row.gridExport += kwh('gridExport');
+      row.batteryCharge += kwh('batteryCharge');
+      row.batteryDischarge += kwh('batteryDischarge');
+      row.gapSeconds += counters.gapSeconds;
+
+      const spot = priceAt(series.nordpool || [], slotStart, PRICE_VALID_MS.nordpool);
+      if (spot === null) {
+        // Energy without a price can't be valued; report it instead of assuming 0 €
+        row.unpricedKwh += kwh('gridImport') + kwh('gridExport');
+      } else {
+        row.spotPrices.push(spot);
+        row.importCost += kwh('gridImport') * (spot / 1000 + this.networkTariff + this.margin);
+        row.exportRevenue += kwh('gridExport') * spot / 1000;
+      }
+
+      const volumeUp = priceAt(series.volumeUp || [], slotStart, PRICE_VALID_MS.mfrr);
+      const volumeDown = priceAt(series.volumeDown || [], slotStart, PRICE_VALID_MS.mfrr);
+      const mfrrUp = priceAt(series.mfrrUp || [], slotStart, PRICE_VALID_MS.mfrr);
+      const mfrrDown = priceAt(series.mfrrDown || [], slotStart, PRICE_VALID_MS.mfrr);
+
+      if (volumeUp && mfrrUp !== null && counters.batteryDischarge > 0) {
+        row.mfrrRevenue += kwh('batteryDischarge') * mfrrUp / 1000;
+        row.activeSlots++;
+      } else if (volumeDown && mfrrDown !== null && counters.batteryCharge > 0) {
+        // Charging at the down price: revenue when it is negative, a cost otherwise
+        row.mfrrRevenue -= kwh('batteryCharge') * mfrrDown / 1000;
+        row.activeSlots++;
+      }
+    }
+
+    const data = Array.from(rows.values())
+      .sort((a, b) => a.startMs - b.startMs)
+      .map(row => this.finishRow(row));
+
+    return { data, summary: this.summarize(data) };
+  }
+
+  emptyRow(startMs, bucketMs) {
+    return {
+      startMs,
+      endMs: startMs + bucketMs,
+      gridImport: 0,
+      gridExport: 0,
+      batteryCharge: 0,
+      batteryDischarge: 0,
+      spotPrices: [],
+      importCost: 0,
+      exportRevenue: 0,
+      mfrrRevenue: 0,
+      activeSlots: 0,
+      unpricedKwh: 0,
+      gapSeconds: 0
+    };
+  }
+
+  finishRow(row) {
+    const spotPrice = row.spotPrices.length
+      ? row.spotPrices.reduce((a, b) => a + b, 0) / row.spotPrices.length
+      : null;
+    return {
+      start: new Date(row.startMs).toISOString(),
+      end: new Date(row.endMs).toISOString(),
+      gridImport: round(row.gridImport, 3),
+      gridExport: round(row.gridExport, 3),
+      batteryCharge: round(row.batteryCharge, 3),
+      batteryDischarge: round(row.batteryDischarge, 3),
+      spotPrice: spotPrice === null ? null : round(spotPrice, 2),
+      importCost: round(row.importCost),
+      exportRevenue: round(row.exportRevenue),
+      mfrrRevenue: round(row.mfrrRevenue),
+      net: round(row.importCost - row.exportRevenue - row.mfrrRevenue),
+      mfrrActiveMinutes: row.activeSlots * 15,
+      unpricedKwh: round(row.unpricedKwh, 3),
+      gapSeconds: Math.round(row.gapSeconds)
+    };
+  }
+
+  summarize(data) {
+    const fields = ['gridImport', 'gridExport', 'batteryCharge', 'batteryDischarge', 'importCost',
+      'exportRevenue', 'mfrrRevenue', 'net', 'mfrrActiveMinutes', 'unpricedKwh', 'gapSeconds'];
+    const summary = {};
+    for (const field of fields) {
+      summary[field] = round(data.reduce((sum, row) => sum + row[field], 0));
+    }
+    return summary;
+  }
+}
+
+CostCalculator.SLOT_MS = SLOT_MS;
+CostCalculator.RESOLUTIONS = Object.keys(RESOLUTIONS);
+
+module.exports = CostCalculator;
@@ -0,0 +1,172 @@
+const fs = require('fs');
+
+// Built-in wiring formulas, used unless DERIVED_METRICS_FILE points to a JSON file
+// with the same structure. Identifiers are snapshot fields: a bare device name
+// (solar, grid, battery, car, consumption) means its load in W, a dotted path
+// like battery.soc reads that field. Missing values count as 0.
+// The first case whose `when` matches is used, otherwise `formula`.
+const DEFAULT_METRICS = {
+  alajaam: {
+    label: 'Alajaam',
+    unit: 'W',
+    formula: 'consumption + 2 * car - solar',
+    description: 'Cons + 2×Car - Solar',
+    cases: [
+      {
+        when: { 'battery.status': 'CHARGING' },
+        formula: 'consumption + 2 * car + battery - solar',
+        description: 'Cons + 2×Car + Batt - Solar'
+      },
+      {
+        when: { 'battery.status': 'DISCHARGING' },
+        formula: 'consumption + 2 * car - battery - solar',
+        description: 'Cons + 2×Car - Batt - Solar'
+      }
+    ]
+  },
+  aegKilp: {
+    label: 'AEG Kilp',
+    unit: 'W',
+    formula: 'consumption + car',
+    description: 'Consumption + Car'
+  }
+};
+
+const DEVICES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+
+// Tokenize and parse an arithmetic expression (+ - * / parentheses, unary minus)
+// into a function of the snapshot. No eval - only fields and numbers are allowed.
+function compile(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?|[A-Za-z_][\w.]*|[-+*/()]|\S/g) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const fail = (message) => {
+    throw new Error(`Invalid formula "${expression}": ${message}`);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) fail('unexpected end');
+
+    if (token === '(') {
+      const inner = parseSum();
+      if (next() !== ')') fail('missing )');
+      return inner;
+    }
+    if (token === '-') {
+      const operand = parsePrimary();
+      return (s) => -operand(s);
+    }
+    if (/^\d/.test(token)) {
+      const value = parseFloat(token);
+      return () => value;
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      const path = token.split('.');
+      if (path.length === 1 && DEVICES.includes(token)) path.push('load');
+      return (s) => {
+        const value = path.reduce((obj, key) => (obj == null ? undefined : obj[key]), s);
+        return typeof value === 'number' ? value : 0;
+      };
+    }
+    return fail(`unexpected "${token}"`);
+  };
+
+  const parseProduct = () => {
+    let left = parsePrimary();
+    while (peek() === '*' || peek() === '/') {
+      const op = next();
+      const l = left;
+      const r = parsePrimary();
+      left = op === '*' ? (s) => l(s) * r(s) : (s) => (r(s) === 0 ? 0 : l(s) / r(s));
+    }
+    return left;
+  };
+
+  const parseSum = () => {
+    let left = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const op = next();
+      const l = left;
+      const r = parseProduct();
+      left = op === '+' ? (s) => l(s) + r(s) : (s) => l(s) - r(s);
+    }
+    return left;
+  };
+
+  const fn = parseSum();
+  if (pos < tokens.length) fail(`unexpected "${peek()}"`);
+  return fn;
+}
+
+const readPath = (snapshot, path) =>
+  path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), snapshot);
+
+// `when` values may be a single value or a list; null matches a missing field
+function matches(when, snapshot) {
+  return Object.entries(when).every(([path, expected]) => {
+    const actual = readPath(snapshot, path);
+    const options = Array.isArray(expected) ? expected : [expected];
+    return options.some(option =>
+      option === null
+        ? actual == null
+        : typeof actual === 'string' && typeof option === 'string'
+          ? actual.toUpperCase() === option.toUpperCase()
+          : actual === option);
+  });
+}
+
+class DerivedMetrics {
+  constructor(definitions = DEFAULT_METRICS) {
+    // Compile everything up front so a bad formula fails at startup
+    this.metrics = Object.entries(definitions).map(([name, def]) => {
+      if (!def.formula) throw new Error(`Derived metric "${name}" has no formula`);
+      return {
+        name,
+        label: def.label || name,
+        unit: def.unit || 'W',
+        fallback: { formula: def.formula, description: def.description, fn: compile(def.formula) },
+        cases: (def.cases || []).map(c => ({
+          when: c.when || {},
+          formula: c.formula,
+          description: c.description,
+          fn: compile(c.formula)
+        }))
+      };
+    });
+  }
+
+  static fromFile(filePath) {
+    if (!filePath) return new DerivedMetrics();
+    const definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new DerivedMetrics(definitions);
+  }
+
+  // { name: { label, value, unit, formula, description } } for one snapshot
+  evaluate(snapshot) {
+    const result = {};
+    for (const metric of this.metrics) {
+      const active = metric.cases.find(c => matches(c.when, snapshot)) || metric.fallback;
+      result[metric.name] = {
+        label: metric.label,
+        value: Math.round(active.fn(snapshot)),
+        unit: metric.unit,
+        formula: active.formula,
+        description: active.description || active.formula
+      };
+    }
+    return result;
+  }
+
+  names() {
+    return this.metrics.map(m => m.name);
+  }
+}
+
+DerivedMetrics.compile = compile;
+DerivedMetrics.DEFAULT_METRICS = DEFAULT_METRICS;
+
+module.exports = DerivedMetrics;
@@ -0,0 +1,128 @@
+// Device cards of a plant's energy flow view. A plant can have any number of
+// devices (two inverters, two chargers...), so the scraper returns all of them as
+// `devices` and builds the fixed solar/grid/battery/car/consumption fields from them.
+
+const TYPES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+
+// Checked in order - the first matching name wins
+const TYPE_PATTERNS = [
+  ['battery', /batter|storage|bess/i],
+  ['solar', /solar|\bpv\b|photovoltaic|inverter/i],
+  ['car', /^car$|\bcar\b|\bev\b|charger|wallbox/i],
+  ['grid', /grid|meter/i],
+  ['consumption', /consumption|household|house|home/i]
+];
+
+const POWER_UNITS = { w: 1, kw: 1000, mw: 1000 * 1000 };
+const ENERGY_UNITS = { wh: 0.001, kwh: 1, mwh: 1000 }; // to kWh
+
+const NUMBER = '(-?\\d+(?:[.,]\\d+)?)';
+
+// solar, grid, battery, car, consumption or null
+function classifyDevice(name) {
+  if (typeof name !== 'string') return null;
+  const match = TYPE_PATTERNS.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : null;
+}
+
+// "1 234 W" -> { value: 1234, unit: 'W' }, "85%" -> { value: 85, unit: '%' },
+// anything that isn't a number stays text
+function parseValue(text) {
+  const match = text.replace(/(\d)\s(?=\d{3}\b)/g, '$1').match(new RegExp(`^${NUMBER}\\s*([^\\d\\s].*)?$`));
+  if (!match) return text;
+  return { value: parseFloat(match[1].replace(',', '.')), unit: match[2] ? match[2].trim() : null };
+}
+
+// W from a parsed value, null when it isn't a power
+function toWatts(parsed) {
+  if (typeof parsed !== 'object') return null;
+  const factor = POWER_UNITS[(parsed.unit || 'w').toLowerCase()];
+  return factor ? Math.round(parsed.value * factor) : null;
+}
+
+// kWh from a parsed value, null when it isn't an energy
+function toKwh(parsed) {
+  if (typeof parsed !== 'object' || !parsed.unit) return null;
+  const factor = ENERGY_UNITS[parsed.unit.toLowerCase()];
+  return factor ? Math.round(parsed.value * factor * 1000) / 1000 : null;
+}
+
+// Lines of one card: the device name, usually a status line, then "Label: value"
+// lines (the value may also be on the next line)
+function parseCard(lines) {
+  const [name, ...rest] = lines;
+  const device = { name, type: classifyDevice(name) || 'other', status: null, load: null, soc: null, values: {} };
+
+  for (let i = 0; i < rest.length; i++) {
+    const match = rest[i].match(/^([^:]+):\s*(.*)$/);
+    if (!match) {
+      // Status is the unlabelled line right after the name
+      if (i === 0) device.status = rest[i];
+      continue;
+    }
+
+    const label = match[1].trim();
+    let text = match[2].trim();
+    if (text === '' && i + 1 < rest.length && !rest[i + 1].includes(':')) {
+      text = rest[++i];
+    }
+    const parsed = parseValue(text);
+
+    if (/^load$/i.test(label)) {
+      device.load = toWatts(parsed);
+    } else if (/^soc$/i.test(label) && typeof parsed === 'object') {
+      device.soc = parsed.value;
+    } else {
+      device.values[label] = parsed;
+    }
+  }
+  return device;
+}
+
+// Daily energy totals from page text outside the device cards, as label -> kWh.
+// Handles "Label: 12.3 kWh", "Label 12.3 kWh" and a label line followed by a value line.
+function parseDailyTotals(lines) {
+  const totals = {};
+  const energy = new RegExp(`^(?:(.+?):?\\s+)?${NUMBER}\\s*(k?wh|mwh)$`, 'i');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(energy);
+    if (!match) continue;
+    const label = (match[1] || (i > 0 ? lines[i - 1] : '')).replace(/:$/, '').trim();
+    if (!label || energy.test(label)) continue;
+    totals[label] = toKwh(parseValue(`${match[2]} ${match[3]}`));
+  }
+  return totals;
+}
+
+// The fixed per-type fields: loads of all devices of a type are added up, the
+// first device with a status decides the status, battery SoC is the average.
+// With `preferAggregates`, a device named just like its type (an API summary
+// object such as `solar: {...}`) is used alone, so it isn't counted twice.
+function legacyFields(devices, { preferAggregates = false } = {}) {
+  const result = {
+    solar: { load: null, status: null },
+    grid: { load: null, status: null },
+    battery: { load: null, soc: null, status: null },
+    car: { load: null, status: null },
+    consumption: { load: null, status: null }
+  };
+
+  for (const type of TYPES) {
+    let matching = devices.filter(d => d.type === type);
+    const aggregate = matching.find(d => String(d.name).toLowerCase() === type);
+    if (preferAggregates && aggregate) matching = [aggregate];
+    if (matching.length === 0) continue;
+
+    const loads = matching.map(d => d.load).filter(v => v !== null);
+    result[type].load = loads.length > 0 ? loads.reduce((sum, v) => sum + v, 0) : null;
+    result[type].status = matching.find(d => d.status)?.status ?? null;
+    if (type === 'battery') {
+      const socs = matching.map(d => d.soc).filter(v => v !== null);
+      result.battery.soc = socs.length > 0 ? Math.round(socs.reduce((sum, v) => sum + v, 0) / socs.length) : null;
+    }
+  }
+  return result;
+}
+
+module.exports = { TYPES, classifyDevice, parseValue, toKwh, parseCard, parseDailyTotals, legacyFields };
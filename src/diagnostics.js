@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('diagnostics');
+
+// Files a bundle may contain, as served by GET /api/diagnostics/:id/:artifact
+const ARTIFACTS = {
+  'screenshot.png': 'image/png',
+  'page.html': 'text/html; charset=utf-8',
+  'meta.json': 'application/json'
+};
+
+const BUNDLE_ID = /^[\w-]+$/;
+
+// Debug bundles of failed scrape stages (login, session, navigation, extraction).
+// Each bundle is a directory with a screenshot, the page HTML and meta.json
+// (stage, plant, URL, error, browser console errors, timing). Only the newest
+// `maxBundles` are kept.
+class DiagnosticsStore {
+  constructor(dir, { maxBundles = 20 } = {}) {
+    this.dir = dir;
+    this.maxBundles = maxBundles;
+  }
+
+  // Never throws: a broken page must not hide the error that is being diagnosed
+  async capture(page, { stage, scrapeId, plant = null, error, consoleErrors = [], timing = {} }) {
+    const timestamp = new Date();
+    const id = `${timestamp.toISOString().replace(/[:.]/g, '-')}-${stage}-${scrapeId}`;
+    const bundleDir = path.join(this.dir, id);
+    const artifacts = [];
+
+    try {
+      await fs.promises.mkdir(bundleDir, { recursive: true });
+
+      let url = null;
+      if (page && !page.isClosed()) {
+        url = page.url();
+        try {
+          await page.screenshot({ path: path.join(bundleDir, 'screenshot.png'), fullPage: true });
+          artifacts.push('screenshot.png');
+        } catch (err) {
+          log.warn('Screenshot failed', { bundle: id, error: err });
+        }
+        try {
+          await fs.promises.writeFile(path.join(bundleDir, 'page.html'), await page.content());
+          artifacts.push('page.html');
+        } catch (err) {
+          log.warn('Saving page HTML failed', { bundle: id, error: err });
+        }
+      }
+
+      const meta = {
+        id,
+        timestamp: timestamp.toISOString(),
+        scrapeId,
+        stage,
+        plant: plant ? { id: plant.id, name: plant.name } : null,
+        url,
+        error: error ? { name: error.name, message: error.message } : null,
+        consoleErrors,
+        timing,
+        artifacts: [...artifacts, 'meta.json']
+      };
+      await fs.promises.writeFile(path.join(bundleDir, 'meta.json'), JSON.stringify(meta, null, 2));
+      log.info('Saved debug bundle', { scrape: scrapeId, stage, bundle: id });
+
+      await this.rotate();
+      return meta;
+    } catch (err) {
+      log.error('Failed to save debug bundle', { scrape: scrapeId, stage, error: err });
+      return null;
+    }
+  }
+
+  // Bundle ids start with their timestamp, so name order is age order
+  async bundleIds() {
+    try {
+      const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+      return entries.filter(e => e.isDirectory() && BUNDLE_ID.test(e.name)).map(e => e.name).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async rotate() {
+    const ids = await this.bundleIds();
+    for (const id of ids.slice(0, Math.max(0, ids.length - this.maxBundles))) {
+      await fs.promises.rm(path.join(this.dir, id), { recursive: true, force: true });
+    }
+  }
+
+  // Newest first
+  async list() {
+    const ids = (await this.bundleIds()).reverse();
+    const bundles = [];
+    for (const id of ids) {
+      const meta = await this.get(id);
+      if (meta) bundles.push(meta);
+    }
+    return bundles;
+  }
+
+  async get(id) {
+    if (!BUNDLE_ID.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, id, 'meta.json'), 'utf8'));
+    } catch (error) {
+      return null; // missing, rotated away or still being written
+    }
+  }
+
+  // { path, contentType } of an artifact, or null if there is no such file
+  async artifact(id, name) {
+    if (!BUNDLE_ID.test(id) || !ARTIFACTS[name]) return null;
+    const file = path.join(this.dir, id, name);
+    try {
+      await fs.promises.access(file);
+      return { path: file, contentType: ARTIFACTS[name] };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+DiagnosticsStore.ARTIFACTS = Object.keys(ARTIFACTS);
+
+module.exports = DiagnosticsStore;
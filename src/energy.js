@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Energy counters, integrated from successive snapshots (stored in Wh).
+// Direction comes from the device status when the app reports one
+// (CHARGING/DISCHARGING, IMPORT/EXPORT), otherwise from the sign of the load.
+const FLOWS = {
+  solar: (s) => positive(s.solar?.load),
+  gridImport: (s) => directed(s.grid, /EXPORT|SELL|FEED/, /IMPORT|BUY/, 1),
+  gridExport: (s) => directed(s.grid, /EXPORT|SELL|FEED/, /IMPORT|BUY/, -1),
+  batteryCharge: (s) => directed(s.battery, /DISCHARG/, /CHARG/, 1),
+  batteryDischarge: (s) => directed(s.battery, /DISCHARG/, /CHARG/, -1),
+  car: (s) => positive(s.car?.load),
+  consumption: (s) => positive(s.consumption?.load)
+};
+
+const PERIODS = ['hour', 'day', 'month'];
+
+// Default range per period when the request doesn't give one
+const DEFAULT_RANGE_MS = {
+  hour: 24 * HOUR_MS,
+  day: 30 * 24 * HOUR_MS,
+  month: 365 * 24 * HOUR_MS
+};
+
+function positive(value) {
+  return typeof value === 'number' ? Math.max(value, 0) : null;
+}
+
+// Power in the given direction (1 = import/charge, -1 = export/discharge) in W
+function directed(device, negativeStatus, positiveStatus, sign) {
+  if (!device || typeof device.load !== 'number') return null;
+  const status = String(device.status || '').toUpperCase();
+  let signed = device.load;
+  if (negativeStatus.test(status)) {
+    signed = -Math.abs(device.load);
+  } else if (positiveStatus.test(status)) {
+    signed = Math.abs(device.load);
+  }
+  return Math.max(signed * sign, 0);
+}
+
+function emptyCounters() {
+  const counters = { seconds: 0, gapSeconds: 0 };
+  for (const flow of Object.keys(FLOWS)) counters[flow] = 0;
+  return counters;
+}
+
+// Start of the local day or month containing `time`
+function periodStart(time, period) {
+  const date = new Date(time);
+  if (period === 'hour') return Math.floor(time / HOUR_MS) * HOUR_MS;
+  if (period === 'day') return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+function nextPeriodStart(start, period) {
+  const date = new Date(start);
+  if (period === 'hour') return start + HOUR_MS;
+  if (period === 'day') return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+}
+
+function toReading(snapshot) {
+  const time = Date.parse(snapshot.timestamp);
+  if (isNaN(time)) return null;
+  const power = {};
+  for (const [flow, pick] of Object.entries(FLOWS)) {
+    power[flow] = pick(snapshot);
+  }
+  return { time, power };
+}
+
+// Trapezoidal integration between two readings into bucketMs-sized counters,
+// split at bucket boundaries so every bucket gets its own share
+function integrate(buckets, last, reading, bucketMs, maxGapMs) {
+  const span = reading.time - last.time;
+  const gap = span > maxGapMs;
+  // Linearly interpolated power between the two readings
+  const at = (flow, t) => last.power[flow] + (reading.power[flow] - last.power[flow]) * (t - last.time) / span;
+
+  for (let from = last.time; from < reading.time;) {
+    const key = Math.floor(from / bucketMs) * bucketMs;
+    const to = Math.min(key + bucketMs, reading.time);
+    const bucket = buckets[key] = buckets[key] || emptyCounters();
+    const seconds = (to - from) / 1000;
+
+    if (gap) {
+      bucket.gapSeconds += seconds;
+    } else {
+      bucket.seconds += seconds;
+      for (const flow of Object.keys(FLOWS)) {
+        // A device missing from either reading contributes nothing for this interval
+        if (last.power[flow] === null || reading.power[flow] === null) continue;
+        bucket[flow] += (at(flow, from) + at(flow, to)) / 2 * (seconds / 3600);
+      }
+    }
+    from = to;
+  }
+}
+
+// kWh totals plus the self-consumption and self-sufficiency ratios (0..1, null without data)
+function summarize(counters) {
+  const kwh = {};
+  for (const flow of Object.keys(FLOWS)) {
+    kwh[flow] = Math.round(counters[flow]) / 1000;
+  }
+  const load = counters.consumption + counters.car;
+  const clamp = (v) => Math.round(Math.min(Math.max(v, 0), 1) * 1000) / 1000;
+  return {
+    ...kwh,
+    selfConsumption: counters.solar > 0 ? clamp((counters.solar - counters.gridExport) / counters.solar) : null,
+    selfSufficiency: load > 0 ? clamp(1 - counters.gridImport / load) : null,
+    coveredSeconds: Math.round(counters.seconds),
+    gapSeconds: Math.round(counters.gapSeconds)
+  };
+}
+
+// Integrates power snapshots into hourly energy counters per plant and keeps
+// them in a JSON file, so totals survive restarts
+class EnergyAccounting {
+  constructor(filePath, { maxGapMs = 15 * 60 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.maxGapMs = maxGapMs;
+    this.plants = {}; // plantId -> { last: { time, power }, hours: { hourStartMs: counters } }
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.plants = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')).plants || {};
+      console.log(`[ENERGY] Loaded totals for ${Object.keys(this.plants).length} plant(s) from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[ENERGY] Ignoring unreadable totals file:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so two snapshots never write the file at the same time
+  save() {
+    this.saving = this.saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ plants: this.plants }));
+      await fs.promises.rename(tmpPath, this.filePath);
+    }).catch(err => console.error('[ENERGY] Failed to save totals:', err.message));
+    return this.saving;
+  }
+
+  attachScraper(scraper) {
+    scraper.on('data', (data) => {
+      this.record(data);
+      this.save();
+    });
+  }
+
+  // Intervals longer than maxGapMs (scraper down, server stopped) are not
+  // guessed at, only counted as gap time
+  record(snapshot) {
+    const plantId = snapshot.plantId || 'default';
+    const reading = toReading(snapshot);
+    if (!reading) return;
+
+    const plant = this.plants[plantId] = this.plants[plantId] || { last: null, hours: {} };
+    if (plant.last && reading.time > plant.last.time) {
+      integrate(plant.hours, plant.last, reading, HOUR_MS, this.maxGapMs);
+    }
+    if (!plant.last || reading.time > plant.last.time) {
+      plant.last = reading;
+    }
+  }
+
+  // Counters per bucketMs-sized slot for a list of snapshots (e.g. from the history store)
+  integrateSnapshots(snapshots, bucketMs) {
+    const buckets = {};
+    let last = null;
+    for (const reading of snapshots.map(toReading).filter(Boolean).sort((a, b) => a.time - b.time)) {
+      if (last && reading.time > last.time) {
+        integrate(buckets, last, reading, bucketMs, this.maxGapMs);
+      }
+      last = reading;
+    }
+    return buckets;
+  }
+
+  // Totals per hour, day or month (local time) for [start, end]
+  getTotals(plantId, period, start, end) {
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Invalid period "${period}". Use hour, day or month`);
+    }
+    const hours = this.plants[plantId]?.hours || {};
+    const buckets = new Map();
+
+    for (const [key, counters] of Object.entries(hours)) {
+      const hourStart = Number(key);
+      if (hourStart < periodStart(start.getTime(), period) || hourStart > end.getTime()) continue;
+
+      const bucketStart = periodStart(hourStart, period);
+      const bucket = buckets.get(bucketStart) || emptyCounters();
+      for (const field of Object.keys(bucket)) {
+        bucket[field] += counters[field] || 0;
+      }
+      buckets.set(bucketStart, bucket);
+    }
+
+    const total = emptyCounters();
+    const totals = Array.from(buckets.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucketStart, counters]) => {
+        for (const field of Object.keys(total)) total[field] += counters[field];
+        return {
+          start: new Date(bucketStart).toISOString(),
+          end: new Date(nextPeriodStart(bucketStart, period)).toISOString(),
+          ...summarize(counters)
+        };
+      });
+
+    return { totals, summary: summarize(total) };
+  }
+}
+
+EnergyAccounting.PERIODS = PERIODS;
+EnergyAccounting.FLOWS = Object.keys(FLOWS);
+// Power (W) of one flow in a snapshot, e.g. flow('batteryDischarge', snapshot); null without a reading
+EnergyAccounting.flow = (name, snapshot) => FLOWS[name](snapshot);
+EnergyAccounting.defaultStart = (period, end) => new Date(periodStart(end.getTime() - DEFAULT_RANGE_MS[period], period));
+
+module.exports = EnergyAccounting;
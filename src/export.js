@@ -0,0 +1,176 @@
+const ExcelJS = require('exceljs');
+const HistoryStore = require('./history');
+const PriceService = require('./prices');
+const { resolveTimezone, formatTimestamp } = require('./timezone');
+
+const DATASETS = ['energy', 'derived', 'prices'];
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+const PRICE_SERIES = ['nordpool', 'mfrrUp', 'mfrrDown', 'volumeUp', 'volumeDown'];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Waits until `stream` can take more data; rejects once it is closed (the client
+// went away), because 'drain' never comes after that
+function drained(stream) {
+  return new Promise((resolve, reject) => {
+    const done = (error) => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      if (error) reject(error); else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error('Client disconnected'));
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+// Respect backpressure so large exports are streamed, not piled up in memory
+async function write(stream, chunk) {
+  if (stream.destroyed) throw new Error('Client disconnected');
+  if (!stream.write(chunk)) {
+    await drained(stream);
+  }
+}
+
+// Price rows from the five series (each sorted by time), merged bucket by bucket
+function* priceRows(series, bucketStart) {
+  const cursors = PRICE_SERIES.map(name => ({ name, points: series[name] || [], i: 0 }));
+  const keyOf = (point) => {
+    const t = Date.parse(point.timestamp);
+    return bucketStart ? bucketStart(t) : t;
+  };
+
+  for (;;) {
+    let key = Infinity;
+    for (const cursor of cursors) {
+      if (cursor.i < cursor.points.length) key = Math.min(key, keyOf(cursor.points[cursor.i]));
+    }
+    if (key === Infinity) return;
+
+    const row = { timestamp: new Date(key).toISOString() };
+    for (const cursor of cursors) {
+      let sum = 0;
+      let count = 0;
+      while (cursor.i < cursor.points.length && keyOf(cursor.points[cursor.i]) === key) {
+        sum += cursor.points[cursor.i].value;
+        count++;
+        cursor.i++;
+      }
+      row[cursor.name] = count ? Math.round(sum / count * 100) / 100 : null;
+    }
+    yield row;
+  }
+}
+
+// Streams energy history, derived loads or prices as CSV, JSON Lines or XLSX
+class Exporter {
+  constructor({ history, prices, derivedMetrics }) {
+    this.history = history;
+    this.prices = prices;
+    this.derivedMetrics = derivedMetrics;
+  }
+
+  // Validates the request parameters; throws with a user-facing message
+  parseOptions({ dataset = 'energy', format = 'csv', resolution = 'raw', timezone = 'UTC', start, end, plant }) {
+    if (!DATASETS.includes(dataset)) {
+      throw new Error(`Invalid dataset "${dataset}". Use ${DATASETS.join(', ')}`);
+    }
+    if (!FORMATS[format]) {
+      throw new Error(`Invalid format "${format}". Use ${Object.keys(FORMATS).join(', ')}`);
+    }
+    HistoryStore.parseResolution(resolution);
+
+    const endDate = end ? new Date(end) : new Date();
+    const startDate = start ? new Date(start) : new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+      throw new Error('start and end must be valid dates with start before end');
+    }
+
+    return { dataset, format, resolution, timeZone: resolveTimezone(timezone), start: startDate, end: endDate, plant };
+  }
+
+  columns(dataset) {
+    if (dataset === 'prices') return PRICE_SERIES;
+    if (dataset === 'derived') return this.derivedMetrics.names();
+    return HistoryStore.SERIES;
+  }
+
+  filename({ dataset, format, start, end }) {
+    const day = (d) => d.toISOString().slice(0, 10);
+    return `soleron-${dataset}-${day(start)}-${day(end)}.${FORMATS[format].extension}`;
+  }
+
+  contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  // Iterator of rows as { timestamp, ...columns }, oldest first, built one at a
+  // time while they are written. Buckets are aligned to the export's time zone.
+  // Throws (before anything is written) when the prices can't be loaded.
+  async rows({ dataset, resolution, timeZone, start, end, plant }) {
+    if (dataset !== 'prices') {
+      return this.history.points(start, end, resolution, plant, timeZone);
+    }
+
+    const { series, errors } = await this.prices.getPrices(start, end);
+    if (Object.keys(errors).length === PriceService.SOURCES.length) {
+      throw new Error(`Price sources unavailable: ${Object.values(errors).join('; ')}`);
+    }
+    return priceRows(series, HistoryStore.bucketer(resolution, timeZone));
+  }
+
+  // Writes the export to `stream` (an HTTP response) in the requested format and
+  // returns the number of rows. Stops with an error when the client disconnects.
+  async write(stream, options, rows) {
+    let count = 0;
+    const columns = ['timestamp', ...this.columns(options.dataset)];
+    const values = (row) => columns.map(column =>
+      column === 'timestamp' ? formatTimestamp(row.timestamp, options.timeZone) : row[column] ?? null);
+
+    if (options.format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(options.dataset);
+      sheet.addRow(columns).commit();
+      for (const row of rows) {
+        sheet.addRow(values(row)).commit();
+        // The zip is written in the background; give it (and a disconnect) a turn
+        if (++count % 500 === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+          if (stream.destroyed) throw new Error('Client disconnected');
+          if (stream.writableNeedDrain) await drained(stream);
+        }
+      }
+      sheet.commit();
+      await workbook.commit();
+      return count;
+    }
+
+    if (options.format === 'csv') {
+      await write(stream, columns.join(',') + '\n');
+    }
+    for (const row of rows) {
+      const fields = values(row);
+      const line = options.format === 'csv'
+        ? fields.map(csvValue).join(',')
+        : JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, fields[i]])));
+      await write(stream, line + '\n');
+      count++;
+    }
+    stream.end();
+    return count;
+  }
+}
+
+Exporter.DATASETS = DATASETS;
+Exporter.FORMATS = Object.keys(FORMATS);
+
+module.exports = Exporter;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('forecast');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Older days count less: a day this many days ago has half the weight of today
+const HALF_LIFE_DAYS = 7;
+
+// A weekday profile hour needs samples from at least this many days,
+// otherwise the hour-of-day profile of all days is used
+const MIN_WEEKDAY_DAYS = 2;
+
+// Hours of history with both solar and irradiance needed to fit the weather factor
+const MIN_WEATHER_HOURS = 6;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Recency-weighted average of hourly values
+function createBucket() {
+  return { sum: 0, weight: 0, days: new Set() };
+}
+
+function addSample(bucket, value, weight, day) {
+  if (typeof value !== 'number') return;
+  bucket.sum += value * weight;
+  bucket.weight += weight;
+  bucket.days.add(day);
+}
+
+const average = (bucket) => (bucket.weight > 0 ? bucket.sum / bucket.weight : null);
+
+// Typical solar, consumption and car load (W) per local hour of day, and
+// consumption and car per day of week and hour, from hourly history points
+function buildProfiles(points, now) {
+  const byHour = Array.from({ length: 24 }, () => ({ solar: createBucket(), consumption: createBucket(), car: createBucket() }));
+  const byWeekday = Array.from({ length: 7 }, () =>
+    Array.from({ length: 24 }, () => ({ consumption: createBucket(), car: createBucket() })));
+
+  for (const point of points) {
+    const time = new Date(point.timestamp);
+    const weight = 0.5 ** ((now - time.getTime()) / DAY_MS / HALF_LIFE_DAYS);
+    const day = time.toDateString();
+    const hour = byHour[time.getHours()];
+    const weekday = byWeekday[time.getDay()][time.getHours()];
+
+    addSample(hour.solar, point.solar, weight, day);
+    for (const field of ['consumption', 'car']) {
+      addSample(hour[field], point[field], weight, day);
+      addSample(weekday[field], point[field], weight, day);
+    }
+  }
+  return { byHour, byWeekday };
+}
+
+// Irradiance points (W/m²) averaged per hour: hour start -> value
+function hourlyIrradiance(points) {
+  const hours = new Map();
+  for (const point of points) {
+    const time = Date.parse(point.timestamp);
+    if (isNaN(time) || typeof point.irradiance !== 'number') continue;
+    const hour = Math.floor(time / HOUR_MS) * HOUR_MS;
+    const entry = hours.get(hour) || { sum: 0, count: 0 };
+    entry.sum += point.irradiance;
+    entry.count++;
+    hours.set(hour, entry);
+  }
+  return new Map(Array.from(hours.entries()).map(([hour, { sum, count }]) => [hour, sum / count]));
+}
+
+// Solar W per W/m² of irradiance, fitted through the origin over past hours
+// that have both a solar reading and an irradiance value
+function fitWeatherFactor(points, irradiance) {
+  let products = 0;
+  let squares = 0;
+  let hours = 0;
+  for (const point of points) {
+    const value = irradiance.get(Math.floor(Date.parse(point.timestamp) / HOUR_MS) * HOUR_MS);
+    if (typeof point.solar !== 'number' || value === undefined || value <= 0) continue;
+    products += point.solar * value;
+    squares += value * value;
+    hours++;
+  }
+  return hours >= MIN_WEATHER_HOURS && squares > 0 ? { factor: products / squares, hours } : { factor: null, hours };
+}
+
+// Forecast of the coming hours for one plant: solar generation and consumption
+// from time-of-day and day-of-week profiles of the stored history (solar from an
+// irradiance forecast when a weather file is configured), the derived loads, and
+// the battery SoC when it covers the gap between solar and consumption
+// (self-consumption: surplus charges, deficit discharges down to the reserve).
+class Forecaster {
+  constructor({ history, derivedMetrics, battery = {}, weatherFile = null, profileDays = 28 }) {
+    this.history = history;
+    this.derivedMetrics = derivedMetrics;
+    this.capacityKwh = battery.capacityKwh ?? 10;
+    this.maxChargeKw = battery.maxChargeKw ?? 5;
+    this.maxDischargeKw = battery.maxDischargeKw ?? this.maxChargeKw;
+    this.efficiency = battery.efficiency ?? 0.9; // round trip
+    this.reserveSoc = battery.reserveSoc ?? 20; // %
+    // JSON array (or { points: [...] }) of { timestamp, irradiance } in W/m², past and
+    // forecast hours; written by an external job and re-read for every forecast
+    this.weatherFile = weatherFile;
+    this.profileDays = profileDays;
+  }
+
+  async loadWeather() {
+    if (!this.weatherFile) return null;
+    const content = JSON.parse(await fs.promises.readFile(this.weatherFile, 'utf8'));
+    const points = Array.isArray(content) ? content : content.points;
+    if (!Array.isArray(points)) {
+      throw new Error(`${this.weatherFile} must be an array of { timestamp, irradiance } points`);
+    }
+    return hourlyIrradiance(points);
+  }
+
+  // Hourly points from the current hour on. `soc` is the current battery SoC
+  // (the reserve when unknown).
+  async forecast({ plantId, soc = null, hours = 24, now = Date.now() }) {
+    const start = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const history = this.history.query(new Date(start - this.profileDays * DAY_MS), new Date(now), '1h', plantId);
+    if (history.length === 0) {
+      throw new Error('No stored history for this plant yet');
+    }
+    const { byHour, byWeekday } = buildProfiles(history, now);
+
+    // A broken weather file must not take the forecast down; solar falls back to the profile
+    const weather = { file: this.weatherFile, used: false, factor: null, fittedHours: 0, forecastHours: 0, error: null };
+    let irradiance = null;
+    try {
+      irradiance = await this.loadWeather();
+    } catch (error) {
+      weather.error = error.message;
+      log.warn('Weather file unusable, using the solar profile', { error });
+    }
+    if (irradiance) {
+      const { factor, hours: fittedHours } = fitWeatherFactor(history, irradiance);
+      weather.fittedHours = fittedHours;
+      if (factor !== null) {
+        weather.factor = round(factor, 3);
+      } else {
+        weather.error = `Needs at least ${MIN_WEATHER_HOURS} past hours with both solar and irradiance, found ${fittedHours}`;
+      }
+    }
+
+    const capacityWh = this.capacityKwh * 1000;
+    const leg = Math.sqrt(this.efficiency);
+    let currentSoc = soc ?? this.reserveSoc;
+
+    const data = [];
+    for (let i = 0; i < hours; i++) {
+      const hour = start + i * HOUR_MS;
+      const time = new Date(hour);
+      const typical = byHour[time.getHours()];
+      const weekday = byWeekday[time.getDay()][time.getHours()];
+      const pick = (field) => (weekday[field].days.size >= MIN_WEEKDAY_DAYS ? average(weekday[field]) : average(typical[field]));
+
+      let solar = average(typical.solar);
+      const hourIrradiance = irradiance && irradiance.get(hour);
+      if (weather.factor !== null && hourIrradiance !== undefined) {
+        solar = Math.max(hourIrradiance, 0) * weather.factor;
+        weather.forecastHours++;
+      }
+      const consumption = pick('consumption');
+      const car = pick('car');
+
+      // One hour at constant power: W over the hour is Wh
+      const surplus = (solar ?? 0) - (consumption ?? 0) - (car ?? 0);
+      let battery = 0;
+      let status = 'IDLE';
+      if (surplus > 0 && currentSoc < 100) {
+        battery = Math.min(surplus, this.maxChargeKw * 1000, (100 - currentSoc) / 100 * capacityWh / leg);
+        status = 'CHARGING';
+      } else if (surplus < 0 && currentSoc > this.reserveSoc) {
+        battery = Math.min(-surplus, this.maxDischargeKw * 1000, (currentSoc - this.reserveSoc) / 100 * capacityWh * leg);
+        status = 'DISCHARGING';
+      }
+      if (battery < 1) {
+        battery = 0;
+        status = 'IDLE';
+      }
+
+      const snapshot = {
+        solar: { load: solar === null ? null : round(solar) },
+        consumption: { load: consumption === null ? null : round(consumption) },
+        car: { load: car === null ? null : round(car) },
+        battery: { load: round(battery), soc: round(currentSoc, 1), status }
+      };
+      const point = {
+        timestamp: time.toISOString(),
+        solar: snapshot.solar.load,
+        consumption: snapshot.consumption.load,
+        car: snapshot.car.load,
+        battery: snapshot.battery.load,
+        batteryStatus: status,
+        batterySoc: snapshot.battery.soc // at the start of the hour
+      };
+      // Formulas count missing values as 0; an hour without any history has no derived load either
+      const known = solar !== null || consumption !== null;
+      for (const [name, metric] of Object.entries(this.derivedMetrics.evaluate(snapshot))) {
+        point[name] = known ? metric.value : null;
+      }
+      data.push(point);
+
+      currentSoc = status === 'CHARGING'
+        ? Math.min(100, currentSoc + battery * leg / capacityWh * 100)
+        : status === 'DISCHARGING' ? Math.max(0, currentSoc - battery / leg / capacityWh * 100) : currentSoc;
+    }
+
+    weather.used = weather.forecastHours > 0;
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(start + hours * HOUR_MS).toISOString(),
+      endSoc: round(currentSoc, 1),
+      profileDays: this.profileDays,
+      historyHours: history.length,
+      weather,
+      data
+    };
+  }
+}
+
+module.exports = Forecaster;
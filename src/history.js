@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { wallTime, offsetMinutes, parseWallTime } = require('./timezone');
+
+// Numeric series exposed by the history API, mapped from a stored snapshot
+const SERIES = {
+  solar: (s) => s.solar?.load,
+  grid: (s) => s.grid?.load,
+  battery: (s) => s.battery?.load,
+  batterySoc: (s) => s.battery?.soc,
+  car: (s) => s.car?.load,
+  consumption: (s) => s.consumption?.load,
+  mfrr: (s) => s.mfrr
+};
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parses a resolution like "raw", "5m", "1h", "1d" or "1mo" into { count, unit } (null = raw)
+function parseResolution(resolution) {
+  if (!resolution || resolution === 'raw') return null;
+  const match = String(resolution).match(/^(\d+)(mo|m|h|d)$/);
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Invalid resolution "${resolution}". Use raw or e.g. 5m, 1h, 1d, 1mo`);
+  }
+  return { count: parseInt(match[1]), unit: match[2] };
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Returns time (ms) -> start of its bucket, or null for raw. Buckets follow the
+// wall clock of `timeZone`: days and months start at local midnight whatever the
+// DST offset that day, and minutes and hours line up with local ones too.
+function bucketer(resolution, timeZone = 'UTC') {
+  const parsed = parseResolution(resolution);
+  if (!parsed) return null;
+  const { count, unit } = parsed;
+
+  if (unit === 'mo') {
+    return (t) => {
+      const [year, month] = wallTime(t, timeZone).split('-').map(Number);
+      const months = Math.floor((year * 12 + month - 1) / count) * count;
+      return parseWallTime(`${Math.floor(months / 12)}-${pad(months % 12 + 1)}-01T00:00`, timeZone).getTime();
+    };
+  }
+
+  const size = count * UNIT_MS[unit];
+  if (timeZone === 'UTC') return (t) => Math.floor(t / size) * size;
+
+  if (unit === 'd') {
+    return (t) => {
+      const day = Math.floor(Date.parse(`${wallTime(t, timeZone).slice(0, 10)}T00:00:00Z`) / size) * size;
+      return parseWallTime(new Date(day).toISOString().slice(0, 16), timeZone).getTime();
+    };
+  }
+  return (t) => {
+    const offset = offsetMinutes(t, timeZone) * 60 * 1000;
+    return Math.floor((t + offset) / size) * size - offset;
+  };
+}
+
+function flatten(snapshot) {
+  const point = { timestamp: snapshot.timestamp };
+  for (const [name, pick] of Object.entries(SERIES)) {
+    const value = pick(snapshot);
+    point[name] = typeof value === 'number' ? value : null;
+  }
+  // Derived metrics (e.g. alajaam) are stored with the snapshot
+  for (const [name, metric] of Object.entries(snapshot.derived || {})) {
+    point[name] = typeof metric.value === 'number' ? metric.value : null;
+  }
+  return point;
+}
+
+function averageBucket(time, group) {
+  const point = { timestamp: new Date(time).toISOString(), samples: group.length };
+  for (const name of new Set(group.flatMap(p => Object.keys(p)))) {
+    if (name === 'timestamp') continue;
+    const values = group.map(p => p[name]).filter(v => v !== null && v !== undefined);
+    point[name] = values.length
+      ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100
+      : null;
+  }
+  return point;
+}
+
+// Snapshots are kept in time order, so a bucket is complete once the next one starts
+function* aggregate(snapshots, from, to, plantId, bucketStart) {
+  let key = null;
+  let group = [];
+  for (const snapshot of snapshots) {
+    if (plantId && snapshot.plantId && snapshot.plantId !== plantId) continue;
+    const t = new Date(snapshot.timestamp).getTime();
+    if (t < from || t > to) continue;
+
+    const point = flatten(snapshot);
+    if (!bucketStart) {
+      yield point;
+      continue;
+    }
+    const bucket = bucketStart(t);
+    if (group.length && bucket !== key) {
+      yield averageBucket(key, group);
+      group = [];
+    }
+    key = bucket;
+    group.push(point);
+  }
+  if (group.length) yield averageBucket(key, group);
+}
+
+class HistoryStore {
+  constructor(filePath, retentionDays) {
+    this.filePath = filePath;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.snapshots = [];
+    this.lastPrune = 0;
+    this.writes = Promise.resolve(); // file appends and rewrites, one at a time
+  }
+
+  // Runs a file write after all earlier ones, so an append can never land in
+  // the file while prune() is rewriting it (and be lost by the rename)
+  serialize(task) {
+    const run = this.writes.then(task);
+    this.writes = run.catch(() => { });
+    return run;
+  }
+
+  // Read the append-only file into memory, skipping corrupt lines
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.snapshots.push(JSON.parse(line));
+      } catch (e) {
+        skipped++;
+      }
+    }
+    this.snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    console.log(`[HISTORY] Loaded ${this.snapshots.length} snapshots from ${this.filePath}` +
+      (skipped ? ` (${skipped} corrupt lines skipped)` : ''));
+
+    await this.prune();
+  }
+
+  async append(snapshot) {
+    if (!snapshot || !snapshot.timestamp) return;
+
+    // In memory only once its turn comes: a rewrite before that would write it too
+    await this.serialize(() => {
+      this.snapshots.push(snapshot);
+      return fs.promises.appendFile(this.filePath, JSON.stringify(snapshot) + '\n');
+    });
+
+    // Prune at most once per hour
+    if (Date.now() - this.lastPrune > 60 * 60 * 1000) {
+      await this.prune();
+    }
+  }
+
+  // Drop snapshots older than the retention window and rewrite the file
+  prune() {
+    return this.serialize(() => this.rewrite());
+  }
+
+  async rewrite() {
+    this.lastPrune = Date.now();
+    const cutoff = Date.now() - this.retentionMs;
+    const kept = this.snapshots.filter(s => new Date(s.timestamp).getTime() >= cutoff);
+
+    if (kept.length === this.snapshots.length) return;
+
+    const removed = this.snapshots.length - kept.length;
+    this.snapshots = kept;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, kept.map(s => JSON.stringify(s)).join('\n') + (kept.length ? '\n' : ''));
+    await fs.promises.rename(tmpPath, this.filePath);
+    console.log(`[HISTORY] Pruned ${removed} snapshots older than retention`);
+  }
+
+  // Raw snapshots within [start, end], optionally for a single plant.
+  // Snapshots stored before multi-plant support have no plantId and match any plant.
+  range(start, end, plantId) {
+    const from = start.getTime();
+    const to = end.getTime();
+    return this.snapshots.filter(s => {
+      if (plantId && s.plantId && s.plantId !== plantId) return false;
+      const t = new Date(s.timestamp).getTime();
+      return t >= from && t <= to;
+    });
+  }
+
+  // Flattened series points, averaged into buckets unless resolution is raw.
+  // A lazy iterator, so exports of long ranges never hold all points at once.
+  points(start, end, resolution, plantId, timeZone = 'UTC') {
+    const bucketStart = bucketer(resolution, timeZone); // throws on a bad resolution
+    return aggregate(this.snapshots, start.getTime(), end.getTime(), plantId, bucketStart);
+  }
+
+  query(start, end, resolution, plantId, timeZone) {
+    const points = Array.from(this.points(start, end, resolution, plantId, timeZone));
+    if (!parseResolution(resolution)) return points;
+
+    // Every bucket has every derived metric of the range, null where it had no samples
+    const names = new Set(points.flatMap(p => Object.keys(p)));
+    for (const point of points) {
+      for (const name of names) {
+        if (!(name in point)) point[name] = null;
+      }
+    }
+    return points;
+  }
+}
+
+HistoryStore.parseResolution = parseResolution;
+HistoryStore.bucketer = bucketer;
+HistoryStore.SERIES = Object.keys(SERIES);
+
+module.exports = HistoryStore;
@@ -1,11 +1,85 @@
 require('dotenv').config();
 const Server = require('./server');
+const { parsePlants } = require('./plants');
+const DerivedMetrics = require('./derived-metrics');
+const Auth = require('./auth');
+const AlertEngine = require('./alerts');
+const ScrapeScheduler = require('./scrape-scheduler');
+const PriceService = require('./prices');
+const { resolveTimezone } = require('./timezone');
+const MockSoleron = require('./mock-soleron');
+const logger = require('./logger');
 
 // Load environment variables
 const PORT = process.env.PORT || 3000;
 const SCRAPE_INTERVAL = parseInt(process.env.SCRAPE_INTERVAL) || 120000; // 2 minutes default
 const SOLERON_USER = process.env.SOLERON_USER;
 const SOLERON_PASS = process.env.SOLERON_PASS;
+const AUTH_USERS = process.env.AUTH_USERS;
+const API_TOKENS = process.env.API_TOKENS;
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 30;
+// Reverse proxies whose X-Forwarded-* headers are believed (client IP, HTTPS); off if unset
+const TRUST_PROXY = process.env.TRUST_PROXY;
+const SOLERON_PLANTS = process.env.SOLERON_PLANTS; // defaults to Lao 8a:290
+const DERIVED_METRICS_FILE = process.env.DERIVED_METRICS_FILE; // built-in Alajaam / AEG Kilp formulas if unset
+const HISTORY_FILE = process.env.HISTORY_FILE; // defaults to ./data/energy-history.jsonl
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 30;
+const ENERGY_TOTALS_FILE = process.env.ENERGY_TOTALS_FILE; // defaults to ./data/energy-totals.json
+// Readings further apart than this are not integrated (counted as a gap)
+const ENERGY_MAX_GAP = parseInt(process.env.ENERGY_MAX_GAP) || Math.max(SCRAPE_INTERVAL * 5, 15 * 60 * 1000);
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE; // no alert rules if unset
+const ALERT_WEBHOOKS = (process.env.ALERT_WEBHOOKS || '').split(',').map(u => u.trim()).filter(u => u.length > 0);
+const MQTT_URL = process.env.MQTT_URL; // e.g. mqtt://localhost:1883, MQTT disabled if unset
+// Scrape loop: always-on, on-demand (default), scheduled or adaptive
+const SCRAPE_MODE = process.env.SCRAPE_MODE || 'on-demand';
+const SCRAPE_IDLE_TIMEOUT = parseInt(process.env.SCRAPE_IDLE_TIMEOUT) || 30 * 60 * 1000; // on-demand
+const SCRAPE_WINDOWS = process.env.SCRAPE_WINDOWS; // scheduled, e.g. "* 6-21 * * *=1m; * 22-23,0-5 * * *=10m"
+const SCRAPE_FAST_INTERVAL = parseInt(process.env.SCRAPE_FAST_INTERVAL) || 30000; // adaptive
+const SCRAPE_LOAD_DELTA = parseInt(process.env.SCRAPE_LOAD_DELTA) || 1000; // adaptive, W
+// Scrape jobs running longer than this are cancelled (the browser is closed)
+const SCRAPE_JOB_TIMEOUT = parseInt(process.env.SCRAPE_JOB_TIMEOUT) || 10 * 60 * 1000;
+// Retries after a failed attempt within one cycle; 0 = a single attempt
+const SCRAPE_MAX_RETRIES = Number(process.env.SCRAPE_MAX_RETRIES || 3);
+const SCRAPE_CIRCUIT_THRESHOLD = parseInt(process.env.SCRAPE_CIRCUIT_THRESHOLD) || 5;
+const SCRAPE_CIRCUIT_COOLDOWN = parseInt(process.env.SCRAPE_CIRCUIT_COOLDOWN) || 15 * 60 * 1000; // 15 minutes
+// Encrypted browser session reused across restarts; SESSION_STORE_FILE=off disables it
+const SESSION_STORE_FILE = process.env.SESSION_STORE_FILE || './data/browser-session.enc';
+// Its own secret, required while the store is on: a key derived from SOLERON_PASS would
+// be the very credential the file protects, and would change with every password rotation
+const SESSION_STORE_SECRET = process.env.SESSION_STORE_SECRET;
+// Fixtures: record what the live app shows, or replay them from a local mock app
+const SOLERON_BASE_URL = process.env.SOLERON_BASE_URL; // defaults to https://app.soleronenergy.com/
+const SOLERON_RECORD_DIR = process.env.SOLERON_RECORD_DIR; // recording disabled if unset
+const SOLERON_REPLAY_DIR = process.env.SOLERON_REPLAY_DIR; // replaces the live app with the mock if set
+const SOLERON_MOCK_PORT = parseInt(process.env.SOLERON_MOCK_PORT) || 4010;
+const SOLERON_MOCK_SCENARIO = process.env.SOLERON_MOCK_SCENARIO || 'normal';
+// Scraper log lines: debug, info, warn or error; text or json (one object per line)
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+// Screenshot, HTML, console errors and timing of failed scrape stages; DIAGNOSTICS_DIR=off disables them
+const DIAGNOSTICS_DIR = process.env.DIAGNOSTICS_DIR || './data/diagnostics';
+const DIAGNOSTICS_MAX_BUNDLES = parseInt(process.env.DIAGNOSTICS_MAX_BUNDLES) || 20;
+const STALE_AFTER = parseInt(process.env.STALE_AFTER) || SCRAPE_INTERVAL * 3;
+// Added to the spot price of imported energy (EUR/kWh)
+const COST_NETWORK_TARIFF = parseFloat(process.env.COST_NETWORK_TARIFF) || 0;
+const COST_MARGIN = parseFloat(process.env.COST_MARGIN) || 0;
+// Battery used by the schedule recommender
+const BATTERY_CAPACITY_KWH = parseFloat(process.env.BATTERY_CAPACITY_KWH) || 10;
+const BATTERY_MAX_CHARGE_KW = parseFloat(process.env.BATTERY_MAX_CHARGE_KW) || 5;
+const BATTERY_MAX_DISCHARGE_KW = parseFloat(process.env.BATTERY_MAX_DISCHARGE_KW) || BATTERY_MAX_CHARGE_KW;
+const BATTERY_EFFICIENCY = parseFloat(process.env.BATTERY_EFFICIENCY) || 0.9; // round trip
+const BATTERY_RESERVE_SOC = Number(process.env.BATTERY_RESERVE_SOC || 20); // %, 0 allowed
+// mFRR activation report: baseline before each activation, and the battery change that counts as a response
+const MFRR_BASELINE_MINUTES = parseInt(process.env.MFRR_BASELINE_MINUTES) || 15;
+const MFRR_MIN_RESPONSE_KW = parseFloat(process.env.MFRR_MIN_RESPONSE_KW) || 0.5;
+// Forecast: days of history behind the profiles, and an optional irradiance file (see README)
+const FORECAST_PROFILE_DAYS = parseInt(process.env.FORECAST_PROFILE_DAYS) || 28;
+const WEATHER_FILE = process.env.WEATHER_FILE; // solar forecast from the profile only if unset
+const PRICE_CACHE_FILE = process.env.PRICE_CACHE_FILE; // defaults to ./data/price-cache.json
+// Bidding zones to fetch prices for; the first one is used for costs, schedules and alerts
+const PRICE_AREAS = process.env.PRICE_AREAS || 'EE';
+// Time zone of the upstream price API requests (the Baltic transparency dashboard works in wall time)
+const PRICE_TIMEZONE = process.env.PRICE_TIMEZONE || 'UTC';
 
 // Validate required environment variables
 if (!SOLERON_USER || !SOLERON_PASS) {
@@ -16,18 +90,211 @@ if (!SOLERON_USER || !SOLERON_PASS) {
   process.exit(1);
 }
 
+if (!Number.isInteger(SCRAPE_MAX_RETRIES) || SCRAPE_MAX_RETRIES < 0) {
+  console.error(`ERROR: Invalid SCRAPE_MAX_RETRIES "${process.env.SCRAPE_MAX_RETRIES}": use a whole number, 0 or more`);
+  process.exit(1);
+}
+
+// NaN or out-of-range battery numbers would silently break the schedule and the forecast
+const batteryProblems = [
+  !(BATTERY_CAPACITY_KWH > 0) && 'BATTERY_CAPACITY_KWH must be above 0',
+  !(BATTERY_MAX_CHARGE_KW > 0) && 'BATTERY_MAX_CHARGE_KW must be above 0',
+  !(BATTERY_MAX_DISCHARGE_KW > 0) && 'BATTERY_MAX_DISCHARGE_KW must be above 0',
+  !(BATTERY_EFFICIENCY > 0 && BATTERY_EFFICIENCY <= 1) && 'BATTERY_EFFICIENCY must be above 0 and at most 1',
+  !(BATTERY_RESERVE_SOC >= 0 && BATTERY_RESERVE_SOC <= 100) && 'BATTERY_RESERVE_SOC must be between 0 and 100'
+].filter(Boolean);
+if (batteryProblems.length > 0) {
+  console.error(`ERROR: Invalid battery settings: ${batteryProblems.join('; ')}`);
+  process.exit(1);
+}
+
+let auth;
+try {
+  auth = new Auth({ users: AUTH_USERS, tokens: API_TOKENS, sessionTimeoutMinutes: SESSION_TIMEOUT_MINUTES });
+} catch (error) {
+  console.error(`ERROR: Invalid AUTH_USERS / API_TOKENS: ${error.message}`);
+  process.exit(1);
+}
+
+if (SESSION_STORE_FILE !== 'off' && !SOLERON_REPLAY_DIR && !SESSION_STORE_SECRET) {
+  console.error('ERROR: SESSION_STORE_SECRET is required for the browser session store');
+  console.error('Generate one: openssl rand -hex 32');
+  console.error('Or set SESSION_STORE_FILE=off to log in on every start instead');
+  process.exit(1);
+}
+
+let plants;
+try {
+  plants = parsePlants(SOLERON_PLANTS);
+} catch (error) {
+  console.error(`ERROR: Invalid SOLERON_PLANTS: ${error.message}`);
+  process.exit(1);
+}
+
+let trustProxy;
+try {
+  trustProxy = Server.parseTrustProxy(TRUST_PROXY);
+} catch (error) {
+  console.error(`ERROR: Invalid TRUST_PROXY: ${error.message}`);
+  process.exit(1);
+}
+
+if (!auth.isConfigured()) {
+  console.error('ERROR: No dashboard users or API tokens configured!');
+  console.error('Please set AUTH_USERS and/or API_TOKENS');
+  console.error('Generate a password hash: node src/auth.js hash yourpassword');
+  console.error('Generate an API token:    node src/auth.js token scriptname');
+  process.exit(1);
+}
+
 console.log('=== Soleron Energy Scraper ===');
 console.log(`Port: ${PORT}`);
-console.log(`Scrape interval: ${SCRAPE_INTERVAL/1000}s`);
+console.log(`Scrape interval: ${SCRAPE_INTERVAL/1000}s, mode: ${SCRAPE_MODE}`);
 console.log(`User: ${SOLERON_USER}`);
+console.log(`Retries: ${SCRAPE_MAX_RETRIES}, circuit breaker after ${SCRAPE_CIRCUIT_THRESHOLD} failed cycles for ${SCRAPE_CIRCUIT_COOLDOWN / 60000} min`);
+console.log(`Logging: ${LOG_LEVEL} (${LOG_FORMAT}), debug bundles: ${DIAGNOSTICS_DIR === 'off' ? 'off' : `${DIAGNOSTICS_DIR} (last ${DIAGNOSTICS_MAX_BUNDLES})`}`);
+console.log(`Browser session store: ${SOLERON_REPLAY_DIR ? 'off (replay)' : SESSION_STORE_FILE}`);
+if (SOLERON_REPLAY_DIR) {
+  console.log(`Replaying fixtures from ${SOLERON_REPLAY_DIR} (mock port ${SOLERON_MOCK_PORT}, scenario ${SOLERON_MOCK_SCENARIO})`);
+} else if (SOLERON_RECORD_DIR) {
+  console.log(`Recording fixtures to ${SOLERON_RECORD_DIR}`);
+}
+console.log(`Dashboard users: ${auth.users.size}, API tokens: ${auth.tokens.size}, session timeout: ${SESSION_TIMEOUT_MINUTES} min`);
+console.log(`Trusted proxies: ${trustProxy === false ? 'none' : trustProxy}`);
+console.log(`Plants: ${plants.map(p => `${p.name} (${p.id})`).join(', ')}`);
+console.log(`Derived metrics: ${DERIVED_METRICS_FILE || 'built-in'}`);
+console.log(`Price areas: ${PRICE_AREAS}, price API timezone: ${PRICE_TIMEZONE}`);
+console.log(`Forecast: ${FORECAST_PROFILE_DAYS} days of history, weather file: ${WEATHER_FILE || 'none'}`);
+console.log(`Alert rules: ${ALERT_RULES_FILE || 'none'}, webhooks from env: ${ALERT_WEBHOOKS.length}`);
+console.log(`MQTT: ${MQTT_URL || 'disabled'}`);
+console.log(`History retention: ${HISTORY_RETENTION_DAYS} days`);
 console.log('==============================\n');
 
+let derivedMetrics;
+try {
+  derivedMetrics = DerivedMetrics.fromFile(DERIVED_METRICS_FILE);
+} catch (error) {
+  console.error(`ERROR: Invalid derived metrics config: ${error.message}`);
+  process.exit(1);
+}
+
+let alerts;
+try {
+  alerts = AlertEngine.fromFile(ALERT_RULES_FILE, ALERT_WEBHOOKS);
+} catch (error) {
+  console.error(`ERROR: Invalid alert rules config: ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  ScrapeScheduler.validate({ mode: SCRAPE_MODE, windows: SCRAPE_WINDOWS });
+} catch (error) {
+  console.error(`ERROR: Invalid scrape schedule: ${error.message}`);
+  process.exit(1);
+}
+
+let priceAreas, priceTimeZone;
+try {
+  priceAreas = PriceService.parseAreas(PRICE_AREAS);
+  priceTimeZone = resolveTimezone(PRICE_TIMEZONE);
+} catch (error) {
+  console.error(`ERROR: Invalid price settings: ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  logger.configure({ level: LOG_LEVEL, format: LOG_FORMAT });
+} catch (error) {
+  console.error(`ERROR: Invalid log settings: ${error.message}`);
+  process.exit(1);
+}
+
+let mockSoleron = null;
+if (SOLERON_REPLAY_DIR) {
+  try {
+    mockSoleron = new MockSoleron({
+      fixturesDir: SOLERON_REPLAY_DIR,
+      username: SOLERON_USER,
+      password: SOLERON_PASS,
+      scenario: SOLERON_MOCK_SCENARIO
+    });
+  } catch (error) {
+    console.error(`ERROR: Invalid replay settings: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Create and start server
-const server = new Server(PORT, SCRAPE_INTERVAL);
+const server = new Server(PORT, SCRAPE_INTERVAL, {
+  auth,
+  trustProxy,
+  plants,
+  scraper: {
+    maxRetries: SCRAPE_MAX_RETRIES,
+    circuitThreshold: SCRAPE_CIRCUIT_THRESHOLD,
+    circuitCooldown: SCRAPE_CIRCUIT_COOLDOWN,
+    // A saved live session is of no use against the mock, and the mock's must not replace it
+    sessionFile: SESSION_STORE_FILE === 'off' || SOLERON_REPLAY_DIR ? null : SESSION_STORE_FILE,
+    sessionSecret: SESSION_STORE_SECRET,
+    baseUrl: SOLERON_REPLAY_DIR ? `http://localhost:${SOLERON_MOCK_PORT}/` : SOLERON_BASE_URL,
+    recordDir: SOLERON_RECORD_DIR
+  },
+  diagnostics: {
+    dir: DIAGNOSTICS_DIR === 'off' ? null : DIAGNOSTICS_DIR,
+    maxBundles: DIAGNOSTICS_MAX_BUNDLES
+  },
+  staleAfter: STALE_AFTER,
+  scrapeJobTimeout: SCRAPE_JOB_TIMEOUT,
+  scrapeSchedule: {
+    mode: SCRAPE_MODE,
+    idleTimeout: SCRAPE_IDLE_TIMEOUT,
+    windows: SCRAPE_WINDOWS,
+    fastInterval: SCRAPE_FAST_INTERVAL,
+    loadDelta: SCRAPE_LOAD_DELTA
+  },
+  derivedMetrics,
+  alerts,
+  historyFile: HISTORY_FILE,
+  historyRetentionDays: HISTORY_RETENTION_DAYS,
+  energyTotalsFile: ENERGY_TOTALS_FILE,
+  energyMaxGap: ENERGY_MAX_GAP,
+  priceCacheFile: PRICE_CACHE_FILE,
+  prices: {
+    areas: priceAreas,
+    timeZone: priceTimeZone
+  },
+  costs: {
+    networkTariff: COST_NETWORK_TARIFF,
+    margin: COST_MARGIN
+  },
+  battery: {
+    capacityKwh: BATTERY_CAPACITY_KWH,
+    maxChargeKw: BATTERY_MAX_CHARGE_KW,
+    maxDischargeKw: BATTERY_MAX_DISCHARGE_KW,
+    efficiency: BATTERY_EFFICIENCY,
+    reserveSoc: BATTERY_RESERVE_SOC
+  },
+  mfrrActivations: {
+    baselineMinutes: MFRR_BASELINE_MINUTES,
+    minResponseKw: MFRR_MIN_RESPONSE_KW
+  },
+  forecast: {
+    profileDays: FORECAST_PROFILE_DAYS,
+    weatherFile: WEATHER_FILE
+  },
+  mqtt: {
+    url: MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'soleron',
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant'
+  }
+});
 
 // Initialize scraper and start server
 (async () => {
   try {
+    if (mockSoleron) await mockSoleron.listen(SOLERON_MOCK_PORT);
     await server.initializeScraper(SOLERON_USER, SOLERON_PASS);
     server.start();
   } catch (error) {
@@ -40,11 +307,13 @@ const server = new Server(PORT, SCRAPE_INTERVAL);
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
   await server.stop();
+  if (mockSoleron) await mockSoleron.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\nShutting down gracefully...');
   await server.stop();
+  if (mockSoleron) await mockSoleron.close();
   process.exit(0);
 });
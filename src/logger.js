@@ -0,0 +1,90 @@
+// Leveled logging with context fields. Loggers are cheap: child() adds fields
+// such as the scrape correlation id, so every line of one scrape can be found
+// with a single grep (text) or filter (json).
+//
+//   text: 2025-06-02T10:00:00.000Z INFO  [scraper] scrape=3f9a1c2e plant=290 Navigating to plant list
+//   json: {"time":"...","level":"info","component":"scraper","scrape":"3f9a1c2e","plant":"290","msg":"..."}
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+
+// Shared by all loggers, set once at startup from LOG_LEVEL / LOG_FORMAT
+const config = { level: 'info', format: 'text' };
+
+function configure({ level = config.level, format = config.format } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Invalid log level "${level}". Use ${Object.keys(LEVELS).join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid log format "${format}". Use ${FORMATS.join(' or ')}`);
+  }
+  config.level = level;
+  config.format = format;
+}
+
+const formatValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /\s/.test(text) ? JSON.stringify(text) : text;
+};
+
+class Logger {
+  constructor(component, fields = {}) {
+    this.component = component;
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger(this.component, { ...this.fields, ...fields });
+  }
+
+  // `extra` may hold an `error`; its message (and stack at debug level) is logged
+  write(level, msg, extra = {}) {
+    if (LEVELS[level] < LEVELS[config.level]) return;
+
+    const { error, ...rest } = extra;
+    const fields = { ...this.fields, ...rest };
+    for (const key of Object.keys(fields)) {
+      if (fields[key] === undefined || fields[key] === null) delete fields[key];
+    }
+    if (error) {
+      fields.error = error.message || String(error);
+      if (config.level === 'debug' && error.stack) fields.stack = error.stack;
+    }
+
+    const time = new Date().toISOString();
+    let line;
+    if (config.format === 'json') {
+      line = JSON.stringify({ time, level, component: this.component, ...fields, msg });
+    } else {
+      // Context before the message, the error after it
+      const context = Object.entries(fields)
+        .filter(([key]) => key !== 'stack' && key !== 'error')
+        .map(([key, value]) => `${key}=${formatValue(value)}`);
+      line = [time, level.toUpperCase().padEnd(5), `[${this.component}]`, ...context, msg].join(' ');
+      if (fields.error) line += ` error=${formatValue(fields.error)}`;
+      if (fields.stack) line += `\n${fields.stack}`;
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? console.error : console.log)(line);
+  }
+
+  debug(msg, extra) {
+    this.write('debug', msg, extra);
+  }
+
+  info(msg, extra) {
+    this.write('info', msg, extra);
+  }
+
+  warn(msg, extra) {
+    this.write('warn', msg, extra);
+  }
+
+  error(msg, extra) {
+    this.write('error', msg, extra);
+  }
+}
+
+const createLogger = (component, fields) => new Logger(component, fields);
+
+module.exports = { createLogger, configure, LEVELS };
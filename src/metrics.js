@@ -0,0 +1,152 @@
+const client = require('prom-client');
+
+const DEVICES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+
+// Prometheus exporter for plant values and scraper telemetry
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: 'soleron_process_' });
+
+    const registers = [this.registry];
+
+    this.load = new client.Gauge({
+      name: 'soleron_load_watts',
+      help: 'Latest scraped device load in W',
+      labelNames: ['plant', 'device'],
+      registers
+    });
+    this.batterySoc = new client.Gauge({
+      name: 'soleron_battery_soc_percent',
+      help: 'Latest battery state of charge in %',
+      labelNames: ['plant'],
+      registers
+    });
+    this.mfrrPrice = new client.Gauge({
+      name: 'soleron_mfrr_price_eur',
+      help: 'Latest mFRR price shown on the plant page in EUR',
+      labelNames: ['plant'],
+      registers
+    });
+    this.derived = new client.Gauge({
+      name: 'soleron_derived_load_watts',
+      help: 'Server-computed derived loads (e.g. alajaam) in W',
+      labelNames: ['plant', 'metric'],
+      registers
+    });
+    this.snapshotTimestamp = new client.Gauge({
+      name: 'soleron_snapshot_timestamp_seconds',
+      help: 'Unix time of the latest snapshot per plant',
+      labelNames: ['plant'],
+      registers
+    });
+
+    this.scrapeDuration = new client.Histogram({
+      name: 'soleron_scrape_duration_seconds',
+      help: 'Duration of full scrape cycles',
+      labelNames: ['result'],
+      buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180],
+      registers
+    });
+    this.scrapes = new client.Counter({
+      name: 'soleron_scrapes_total',
+      help: 'Scrape cycles by result',
+      labelNames: ['result'],
+      registers
+    });
+    this.logins = new client.Counter({
+      name: 'soleron_logins_total',
+      help: 'Successful logins to the Soleron app',
+      registers
+    });
+    this.sessionEvents = new client.Counter({
+      name: 'soleron_session_events_total',
+      help: 'Saved browser sessions restored at startup and sessions refreshed without a login',
+      labelNames: ['event'],
+      registers
+    });
+    this.browserRestarts = new client.Counter({
+      name: 'soleron_browser_restarts_total',
+      help: 'Browser sessions restarted to recover from errors',
+      registers
+    });
+    this.lastSuccess = new client.Gauge({
+      name: 'soleron_last_successful_scrape_timestamp_seconds',
+      help: 'Unix time of the last successful scrape cycle',
+      registers
+    });
+    this.priceErrors = new client.Counter({
+      name: 'soleron_price_api_errors_total',
+      help: 'Failed upstream price API requests by source',
+      labelNames: ['source'],
+      registers
+    });
+
+    // Start counters at 0 so rate() works from the first scrape
+    this.scrapes.inc({ result: 'success' }, 0);
+    this.scrapes.inc({ result: 'failure' }, 0);
+    this.sessionEvents.inc({ event: 'restore' }, 0);
+    this.sessionEvents.inc({ event: 'refresh' }, 0);
+  }
+
+  attachScraper(scraper) {
+    scraper.on('data', (data) => this.recordSnapshot(data));
+
+    scraper.on('status', (status) => {
+      if (status.state === 'completed' || status.state === 'failed') {
+        const result = status.state === 'completed' ? 'success' : 'failure';
+        this.scrapes.inc({ result });
+        if (typeof status.durationMs === 'number') {
+          this.scrapeDuration.observe({ result }, status.durationMs / 1000);
+        }
+        if (result === 'success') {
+          this.lastSuccess.set(Date.parse(status.timestamp) / 1000);
+        }
+      }
+    });
+
+    scraper.on('login', () => this.logins.inc());
+    scraper.on('sessionRestore', () => this.sessionEvents.inc({ event: 'restore' }));
+    scraper.on('sessionRefresh', () => this.sessionEvents.inc({ event: 'refresh' }));
+    scraper.on('browserRestart', () => this.browserRestarts.inc());
+  }
+
+  attachPrices(prices) {
+    prices.on('fetchError', ({ source }) => this.priceErrors.inc({ source }));
+  }
+
+  recordSnapshot(data) {
+    const plant = data.plantId || 'default';
+
+    for (const device of DEVICES) {
+      const value = data[device]?.load;
+      // Drop stale values instead of exporting the previous reading
+      if (typeof value === 'number') {
+        this.load.set({ plant, device }, value);
+      } else {
+        this.load.remove({ plant, device });
+      }
+    }
+
+    if (typeof data.battery?.soc === 'number') {
+      this.batterySoc.set({ plant }, data.battery.soc);
+    }
+    if (typeof data.mfrr === 'number') {
+      this.mfrrPrice.set({ plant }, data.mfrr);
+    }
+    for (const [metric, entry] of Object.entries(data.derived || {})) {
+      this.derived.set({ plant, metric }, entry.value);
+    }
+    this.snapshotTimestamp.set({ plant }, Date.parse(data.timestamp) / 1000);
+  }
+
+  contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,148 @@
+const { flow } = require('./energy');
+
+const SLOT_MS = 15 * 60 * 1000;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const average = (values) => {
+  const known = values.filter(v => v !== null);
+  return known.length ? known.reduce((sum, v) => sum + v, 0) / known.length : null;
+};
+
+// Battery and grid power of a snapshot in W, signed the way an activation asks
+// for: up = more supply (battery discharges, grid imports less), down = more demand
+function supply(snapshot) {
+  const charge = flow('batteryCharge', snapshot);
+  const discharge = flow('batteryDischarge', snapshot);
+  const imported = flow('gridImport', snapshot);
+  const exported = flow('gridExport', snapshot);
+  return {
+    battery: charge === null ? null : discharge - charge,
+    grid: imported === null ? null : exported - imported
+  };
+}
+
+// Consecutive 15-minute slots with a non-zero activation volume, per direction
+function activationPeriods(series) {
+  const periods = [];
+  for (const [direction, volumeName, priceName] of [['up', 'volumeUp', 'mfrrUp'], ['down', 'volumeDown', 'mfrrDown']]) {
+    const prices = new Map((series[priceName] || []).map(p => [Date.parse(p.timestamp), p.value]));
+    let current = null;
+    for (const point of series[volumeName] || []) {
+      const start = Date.parse(point.timestamp);
+      if (!point.value) {
+        current = null;
+        continue;
+      }
+      if (!current || start > current.end) {
+        current = { direction, start, end: start, volumeMwh: 0, prices: [] };
+        periods.push(current);
+      }
+      current.end = start + SLOT_MS;
+      current.volumeMwh += Math.abs(point.value);
+      if (prices.has(start)) current.prices.push(prices.get(start));
+    }
+  }
+  return periods.sort((a, b) => a.start - b.start);
+}
+
+// Matches every mFRR up/down activation period with the plant's battery and grid
+// power: the average before the activation (baseline) against the average while
+// it lasted. The change in the requested direction is the response; the plant
+// responded when its battery moved at least `minResponseKw` that way, and the
+// reaction time is when the first snapshot showed it. Snapshots are minutes
+// apart, so reaction times are only as exact as the scrape interval.
+class ActivationAnalyzer {
+  constructor({ baselineMinutes = 15, minResponseKw = 0.5 } = {}) {
+    this.baselineMs = baselineMinutes * 60 * 1000;
+    this.minResponseKw = minResponseKw;
+  }
+
+  // `snapshots` sorted by time, covering the range plus the baseline before it;
+  // `series` the /api/prices series of the area
+  analyze(snapshots, series, start, end) {
+    const readings = snapshots.map(s => ({ time: Date.parse(s.timestamp), ...supply(s) }));
+    const activations = activationPeriods(series)
+      .filter(p => p.end > start.getTime() && p.start < end.getTime())
+      .map(period => this.analyzePeriod(period, readings));
+
+    return { activations, summary: this.summarize(activations) };
+  }
+
+  analyzePeriod(period, readings) {
+    const before = readings.filter(r => r.time >= period.start - this.baselineMs && r.time < period.start);
+    const during = readings.filter(r => r.time >= period.start && r.time < period.end);
+    const sign = period.direction === 'up' ? 1 : -1;
+
+    const baseline = {
+      battery: average(before.map(r => r.battery)),
+      grid: average(before.map(r => r.grid))
+    };
+    const actual = {
+      battery: average(during.map(r => r.battery)),
+      grid: average(during.map(r => r.grid))
+    };
+    // kW in the activation's direction, positive = helped
+    const delta = (field) => (baseline[field] === null || actual[field] === null
+      ? null
+      : sign * (actual[field] - baseline[field]) / 1000);
+    const batteryKw = delta('battery');
+    const gridKw = delta('grid');
+
+    let responded = null;
+    let reactionSeconds = null;
+    if (batteryKw !== null) {
+      responded = batteryKw >= this.minResponseKw;
+      const first = during.find(r => r.battery !== null && sign * (r.battery - baseline.battery) / 1000 >= this.minResponseKw);
+      if (responded && first) reactionSeconds = Math.round((first.time - period.start) / 1000);
+    }
+
+    const hours = (period.end - period.start) / (60 * 60 * 1000);
+    return {
+      direction: period.direction,
+      start: new Date(period.start).toISOString(),
+      end: new Date(period.end).toISOString(),
+      minutes: Math.round(hours * 60),
+      volumeMwh: round(period.volumeMwh, 3),
+      averagePrice: round(average(period.prices)),
+      samples: { baseline: before.length, during: during.length },
+      // Signed as requested by the activation (W): up = discharge / export positive
+      baseline: { battery: round(baseline.battery, 0), grid: round(baseline.grid, 0) },
+      actual: { battery: round(actual.battery, 0), grid: round(actual.grid, 0) },
+      batteryResponseKw: round(batteryKw),
+      gridResponseKw: round(gridKw),
+      responseKwh: batteryKw === null ? null : round(Math.max(batteryKw, 0) * hours, 3),
+      responded, // null: no snapshots before or during the activation
+      reactionSeconds
+    };
+  }
+
+  summarize(activations) {
+    const known = activations.filter(a => a.responded !== null);
+    const responded = known.filter(a => a.responded);
+    const reactions = responded.map(a => a.reactionSeconds).filter(v => v !== null).sort((a, b) => a - b);
+    const byDirection = (direction) => {
+      const matching = known.filter(a => a.direction === direction);
+      return {
+        activations: activations.filter(a => a.direction === direction).length,
+        responded: matching.filter(a => a.responded).length,
+        averageResponseKw: round(average(matching.map(a => a.batteryResponseKw)))
+      };
+    };
+
+    return {
+      activations: activations.length,
+      withData: known.length,
+      responded: responded.length,
+      participationRate: known.length ? round(responded.length / known.length, 3) : null,
+      averageResponseKw: round(average(responded.map(a => a.batteryResponseKw))),
+      medianReactionSeconds: reactions.length ? reactions[Math.floor(reactions.length / 2)] : null,
+      activeMinutes: activations.reduce((sum, a) => sum + a.minutes, 0),
+      responseKwh: round(responded.reduce((sum, a) => sum + a.responseKwh, 0), 3),
+      up: byDirection('up'),
+      down: byDirection('down')
+    };
+  }
+}
+
+module.exports = ActivationAnalyzer;
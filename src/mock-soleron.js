@@ -0,0 +1,289 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Fault scenarios, switchable at runtime with POST /mock/scenario:
+//   normal               recorded pages and API responses
+//   invalid-credentials  every login is rejected
+//   missing-plant        empty plant list, plant pages are "not found"
+//   slow-render          plant pages render after `renderDelay` ms (longer than the scraper waits)
+//   session-expired      sessions and tokens last 30 seconds, so the scraper has to log in again
+//   api-down             recorded API responses fail with 500, so only the DOM is left
+const SCENARIOS = ['normal', 'invalid-credentials', 'missing-plant', 'slow-render', 'session-expired', 'api-down'];
+
+const SHORT_SESSION_MS = 30 * 1000;
+
+// Used when the fixtures have no recorded login page; the same selectors as Amplify's form
+const LOGIN_FORM = `
+<form>
+  <input type="email" name="username" placeholder="Email">
+  <input type="password" name="password" placeholder="Password">
+  <button type="submit" class="amplify-button amplify-button--primary">Sign in</button>
+</form>`;
+
+// Recorded pages have their scripts stripped, so this script plays the SPA:
+// hash routing, the login form and plant links (matched by name, like the scraper does)
+const CLIENT = `
+const TOKEN_KEY = 'CognitoIdentityServiceProvider.mock.idToken';
+
+async function render() {
+  const route = location.hash || '#/';
+  const view = await (await fetch('/mock/view?route=' + encodeURIComponent(route))).json();
+  if (view.route !== route) history.replaceState(null, '', view.route);
+  const show = () => { document.getElementById('app').innerHTML = view.html; };
+  if (view.delayMs) setTimeout(show, view.delayMs); else show();
+  (view.apis || []).forEach(url => fetch(url).catch(() => {}));
+}
+
+async function login() {
+  const user = document.querySelector('input[type="email"], input[type="text"]');
+  const pass = document.querySelector('input[type="password"]');
+  const response = await fetch('/mock/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: user ? user.value : '', password: pass ? pass.value : '' })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    let error = document.getElementById('mock-error');
+    if (!error) {
+      error = document.createElement('div');
+      error.id = 'mock-error';
+      document.getElementById('app').appendChild(error);
+    }
+    error.textContent = result.message;
+    return;
+  }
+  localStorage.setItem(TOKEN_KEY, result.token);
+  location.hash = '#/plants';
+}
+
+document.addEventListener('click', (event) => {
+  if (document.querySelector('input[type="password"]') && event.target.closest('button')) {
+    event.preventDefault();
+    login();
+    return;
+  }
+  if (location.hash === '#/plants') {
+    const text = (event.target.innerText || '').trim();
+    const plant = PLANTS.find(p => text === p.name) || PLANTS.find(p => text.includes(p.name));
+    if (plant) location.hash = '#/plants/' + plant.key;
+  }
+});
+document.addEventListener('submit', (event) => {
+  event.preventDefault();
+  login();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && event.target.matches('input')) {
+    event.preventDefault();
+    login();
+  }
+});
+window.addEventListener('hashchange', render);
+render();
+`;
+
+// Unsigned JWT, enough for the scraper's token expiry check
+function fakeToken(expiresAt) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'mock', exp: Math.floor(expiresAt / 1000) })}.mock`;
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';').map(c => c.trim().split('=')).filter(([k]) => k));
+}
+
+// Local stand-in for the Soleron app that serves fixtures recorded with
+// SOLERON_RECORD_DIR (see src/recorder.js), for running the scraper offline
+class MockSoleron {
+  constructor({
+    fixturesDir,
+    username = null,
+    password = null,
+    scenario = 'normal',
+    renderDelay = 20000,
+    sessionTtl = 60 * 60 * 1000
+  }) {
+    MockSoleron.validate(scenario);
+    this.fixturesDir = fixturesDir;
+    this.username = username; // null accepts any non-empty credentials
+    this.password = password;
+    this.scenario = scenario;
+    this.renderDelay = renderDelay;
+    this.sessionTtl = sessionTtl;
+    this.sessions = new Map(); // id -> expiresAt
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  static validate(scenario) {
+    if (!SCENARIOS.includes(scenario)) {
+      throw new Error(`Invalid mock scenario "${scenario}". Use ${SCENARIOS.join(', ')}`);
+    }
+  }
+
+  // Fixtures are read on every request, so a fresh recording shows up without a restart
+  readFixture(name) {
+    try {
+      return fs.readFileSync(path.join(this.fixturesDir, name), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  manifest() {
+    return JSON.parse(this.readFixture('manifest.json') || '{"plants": []}');
+  }
+
+  // Recorded API responses of one plant: [{ url, body }]
+  apiResponses(key) {
+    return JSON.parse(this.readFixture(`plant-${key}.api.json`) || '[]');
+  }
+
+  authenticated(req) {
+    const id = parseCookies(req.headers.cookie).mock_session;
+    const expiresAt = this.sessions.get(id);
+    if (!expiresAt) return false;
+    if (Date.now() > expiresAt) {
+      this.sessions.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  view(route, loggedIn) {
+    if (!loggedIn) {
+      return { route: '#/login', html: this.readFixture('login.html') || LOGIN_FORM };
+    }
+
+    const plantMatch = route.match(/^#\/plants\/([^/]+)$/);
+    if (plantMatch) {
+      const key = decodeURIComponent(plantMatch[1]);
+      const html = this.scenario === 'missing-plant' ? null : this.readFixture(`plant-${key}.html`);
+      if (!html) {
+        return { route, html: '<h1>Plant not found</h1>' };
+      }
+      return {
+        route,
+        html,
+        delayMs: this.scenario === 'slow-render' ? this.renderDelay : 0,
+        apis: this.apiResponses(key).map(r => r.url)
+      };
+    }
+
+    if (route === '#/plants') {
+      const html = this.scenario === 'missing-plant' ? '<div>No plants found</div>' : this.readFixture('plants.html');
+      return { route, html: html || '<div>No plants found</div>' };
+    }
+
+    // Logged in users land on the plant list, like in the real app
+    return { route: '#/plants', html: this.readFixture('plants.html') || '<div>No plants found</div>' };
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.get('/', (req, res) => {
+      const plants = this.manifest().plants || [];
+      res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Soleron (mock)</title>
+  <link rel="stylesheet" href="/mock/styles.css">
+</head>
+<body>
+  <div id="app"></div>
+  <script>const PLANTS = ${JSON.stringify(plants)};${CLIENT}</script>
+</body>
+</html>`);
+    });
+
+    app.get('/mock/styles.css', (req, res) => {
+      res.type('text/css').send(this.readFixture('styles.css') || '');
+    });
+
+    app.get('/mock/view', (req, res) => {
+      res.json(this.view(String(req.query.route || '#/'), this.authenticated(req)));
+    });
+
+    app.post('/mock/login', (req, res) => {
+      const { username, password } = req.body || {};
+      const valid = this.username === null
+        ? !!username && !!password
+        : username === this.username && password === this.password;
+
+      if (this.scenario === 'invalid-credentials' || !valid) {
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+
+      const ttl = this.scenario === 'session-expired' ? SHORT_SESSION_MS : this.sessionTtl;
+      const id = crypto.randomBytes(16).toString('hex');
+      const expiresAt = Date.now() + ttl;
+      this.sessions.set(id, expiresAt);
+      res.cookie('mock_session', id, { httpOnly: true, sameSite: 'lax' });
+      res.json({ token: fakeToken(expiresAt) });
+    });
+
+    app.get('/mock/scenario', (req, res) => {
+      res.json({ scenario: this.scenario, scenarios: SCENARIOS });
+    });
+
+    app.post('/mock/scenario', (req, res) => {
+      try {
+        MockSoleron.validate(req.body.scenario);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid scenario', message: error.message });
+      }
+      this.scenario = req.body.scenario;
+      console.log(`[MOCK] Scenario: ${this.scenario}`);
+      res.json({ scenario: this.scenario });
+    });
+
+    // Recorded API responses, served at the paths they were recorded from
+    app.get('*', (req, res) => {
+      const key = (this.manifest().plants || [])
+        .map(p => p.key)
+        .find(k => this.apiResponses(k).some(r => r.url === req.path));
+      if (key === undefined) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      if (!this.authenticated(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (this.scenario === 'api-down') {
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+      res.json(this.apiResponses(key).find(r => r.url === req.path).body);
+    });
+
+    return app;
+  }
+
+  listen(port = 4010) {
+    return new Promise((resolve) => {
+      this.server = this.app.listen(port, () => {
+        console.log(`[MOCK] Soleron mock on http://localhost:${this.server.address().port}/ ` +
+          `(fixtures: ${this.fixturesDir}, scenario: ${this.scenario})`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+MockSoleron.SCENARIOS = SCENARIOS;
+
+module.exports = MockSoleron;
+
+// Standalone: node src/mock-soleron.js [fixturesDir] [port] [scenario]
+if (require.main === module) {
+  const [fixturesDir = path.join(__dirname, '..', 'fixtures', 'demo'), port = 4010, scenario = 'normal'] = process.argv.slice(2);
+  new MockSoleron({ fixturesDir, scenario }).listen(parseInt(port));
+}
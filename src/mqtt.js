@@ -0,0 +1,131 @@
+const mqtt = require('mqtt');
+
+// Values published per plant: topic suffix, how to read it from a snapshot,
+// and how Home Assistant should present it
+const SENSORS = [
+  { key: 'solar/load', name: 'Solar load', pick: (s) => s.solar?.load, unit: 'W', deviceClass: 'power' },
+  { key: 'solar/status', name: 'Solar status', pick: (s) => s.solar?.status },
+  { key: 'grid/load', name: 'Grid load', pick: (s) => s.grid?.load, unit: 'W', deviceClass: 'power' },
+  { key: 'grid/status', name: 'Grid status', pick: (s) => s.grid?.status },
+  { key: 'battery/load', name: 'Battery load', pick: (s) => s.battery?.load, unit: 'W', deviceClass: 'power' },
+  { key: 'battery/soc', name: 'Battery SoC', pick: (s) => s.battery?.soc, unit: '%', deviceClass: 'battery' },
+  { key: 'battery/status', name: 'Battery status', pick: (s) => s.battery?.status },
+  { key: 'car/load', name: 'Car load', pick: (s) => s.car?.load, unit: 'W', deviceClass: 'power' },
+  { key: 'car/status', name: 'Car status', pick: (s) => s.car?.status },
+  { key: 'consumption/load', name: 'Consumption load', pick: (s) => s.consumption?.load, unit: 'W', deviceClass: 'power' },
+  { key: 'mfrr/price', name: 'mFRR price', pick: (s) => s.mfrr, unit: '€' }
+];
+
+// Optional MQTT integration: publishes every snapshot to per-device topics and
+// registers the sensors in Home Assistant through MQTT discovery
+class MqttPublisher {
+  constructor({ url, username, password, topicPrefix = 'soleron', discoveryPrefix = 'homeassistant' }, plants, derivedMetrics) {
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.topicPrefix = topicPrefix.replace(/\/+$/, '');
+    this.discoveryPrefix = discoveryPrefix.replace(/\/+$/, '');
+    this.plants = plants;
+    this.derivedMetrics = derivedMetrics;
+    this.client = null;
+  }
+
+  get availabilityTopic() {
+    return `${this.topicPrefix}/status`;
+  }
+
+  connect() {
+    console.log(`[MQTT] Connecting to ${this.url}...`);
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      clientId: `soleron-scraper-${Math.random().toString(16).slice(2, 10)}`,
+      reconnectPeriod: 10000,
+      // Broker marks us offline if the connection drops
+      will: { topic: this.availabilityTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      console.log('[MQTT] Connected');
+      this.client.publish(this.availabilityTopic, 'online', { retain: true, qos: 1 });
+      this.publishDiscovery();
+    });
+    this.client.on('error', (error) => {
+      console.error('[MQTT] Error:', error.message);
+    });
+    this.client.on('offline', () => {
+      console.log('[MQTT] Broker unreachable, will retry');
+    });
+  }
+
+  attachScraper(scraper) {
+    scraper.on('data', (data) => this.publishSnapshot(data));
+  }
+
+  // All sensors of a plant, including the configured derived metrics
+  sensors() {
+    const derived = this.derivedMetrics.metrics.map(metric => ({
+      key: `derived/${metric.name}`,
+      name: metric.label,
+      pick: (s) => s.derived?.[metric.name]?.value,
+      unit: metric.unit,
+      deviceClass: metric.unit === 'W' ? 'power' : undefined
+    }));
+    return [...SENSORS, ...derived];
+  }
+
+  publishDiscovery() {
+    for (const plant of this.plants) {
+      const device = {
+        identifiers: [`soleron_${plant.id}`],
+        name: `Soleron ${plant.name}`,
+        manufacturer: 'Soleron Energy'
+      };
+
+      for (const sensor of this.sensors()) {
+        const objectId = `soleron_${plant.id}_${sensor.key.replace(/\//g, '_')}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+        const config = {
+          name: sensor.name,
+          unique_id: objectId,
+          state_topic: `${this.topicPrefix}/${plant.id}/${sensor.key}`,
+          availability_topic: this.availabilityTopic,
+          device
+        };
+        if (sensor.unit) {
+          config.unit_of_measurement = sensor.unit;
+          config.state_class = 'measurement';
+        }
+        if (sensor.deviceClass) {
+          config.device_class = sensor.deviceClass;
+        }
+
+        this.client.publish(`${this.discoveryPrefix}/sensor/${objectId}/config`, JSON.stringify(config), { retain: true, qos: 1 });
+      }
+    }
+    console.log(`[MQTT] Published discovery config for ${this.plants.length} plant(s)`);
+  }
+
+  publishSnapshot(data) {
+    if (!this.client || !this.client.connected) return;
+
+    const plantId = data.plantId || this.plants[0].id;
+    for (const sensor of this.sensors()) {
+      const value = sensor.pick(data);
+      if (value === null || value === undefined) continue;
+      this.client.publish(`${this.topicPrefix}/${plantId}/${sensor.key}`, String(value), { retain: true });
+    }
+    this.client.publish(`${this.topicPrefix}/${plantId}/snapshot`, JSON.stringify(data));
+  }
+
+  async close() {
+    if (!this.client) return;
+    // Clean shutdown: publish offline ourselves since the will is only sent on connection loss
+    if (this.client.connected) {
+      await this.client.publishAsync(this.availabilityTopic, 'offline', { retain: true, qos: 1 });
+    }
+    await this.client.endAsync();
+    this.client = null;
+  }
+}
+
+module.exports = MqttPublisher;
@@ -0,0 +1,32 @@
+// Plant configuration: SOLERON_PLANTS="Lao 8a:290,Other site:312"
+// Each entry is a plant name as shown in the Soleron plant list, optionally
+// followed by ":<id>" - the numeric Soleron plant id used for the deep link fallback.
+const DEFAULT_PLANTS = 'Lao 8a:290';
+
+const slugify = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function parsePlants(value) {
+  const entries = (value || DEFAULT_PLANTS).split(',').map(e => e.trim()).filter(e => e.length > 0);
+
+  const plants = entries.map(entry => {
+    const sep = entry.lastIndexOf(':');
+    const soleronId = sep > 0 ? entry.slice(sep + 1).trim() : '';
+
+    if (soleronId && /^\d+$/.test(soleronId)) {
+      const name = entry.slice(0, sep).trim();
+      return { id: soleronId, name, soleronId };
+    }
+    return { id: slugify(entry), name: entry, soleronId: null };
+  });
+
+  const ids = new Set();
+  for (const plant of plants) {
+    if (!plant.id) throw new Error(`Invalid plant entry "${plant.name}"`);
+    if (ids.has(plant.id)) throw new Error(`Duplicate plant id "${plant.id}"`);
+    ids.add(plant.id);
+  }
+
+  return plants;
+}
+
+module.exports = { parsePlants, DEFAULT_PLANTS };
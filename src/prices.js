@@ -0,0 +1,344 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { wallTime, parseWallTime } = require('./timezone');
+
+const BALTIC_URL = 'https://api-baltic.transparency-dashboard.eu/api/v1/export';
+const ELERING_URL = 'https://dashboard.elering.ee/api/nps/price';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Data newer than this may still be revised upstream, so it is never marked as cached
+const FRESHNESS_MS = 60 * 60 * 1000;
+
+// Cached points older than this are dropped when the cache is saved
+const CACHE_MAX_AGE_MS = 365 * DAY_MS;
+
+// Bumped when the cache layout changes; older caches are refetched
+const CACHE_VERSION = 2;
+
+// Bidding zones with Nord Pool prices on Elering; mFRR data exists for the Baltic ones
+const AREAS = ['EE', 'FI', 'LV', 'LT'];
+
+// Upstream datasets. Each fetch returns normalized points of every area for one
+// or more series: { timestamp, value, unit, source, area }
+const DATASETS = {
+  nordpool: {
+    chunkMs: 31 * DAY_MS,
+    series: ['nordpool'],
+    fetch: (start, end) => fetchEleringPrices(start, end)
+  },
+  mfrr_price: {
+    chunkMs: 7 * DAY_MS,
+    series: ['mfrrUp', 'mfrrDown'],
+    fetch: (start, end, { timeZone }) => fetchBalticPrices('local_marginal_price_mfrr', start, end, timeZone)
+  },
+  mfrr_volume: {
+    chunkMs: 7 * DAY_MS,
+    series: ['volumeUp', 'volumeDown'],
+    fetch: (start, end, { timeZone }) => fetchBalticPrices('normal_activations_mfrr', start, end, timeZone)
+  }
+};
+
+// How the Baltic export labels each country's columns
+const BALTIC_AREAS = {
+  EE: /estonia|\bee\b/i,
+  LV: /latvia|\blv\b/i,
+  LT: /lithuania|\blt\b/i
+};
+
+// Baltic dataset columns; the index is used for Estonia when the column labels can't be matched
+const BALTIC_COLUMNS = {
+  local_marginal_price_mfrr: {
+    source: 'mfrr_price',
+    unit: 'EUR/MWh',
+    series: { mfrrUp: { direction: /up/i, index: 0 }, mfrrDown: { direction: /down/i, index: 1 } }
+  },
+  normal_activations_mfrr: {
+    source: 'mfrr_volume',
+    unit: 'MWh',
+    series: { volumeUp: { direction: /up/i, index: 2 }, volumeDown: { direction: /down/i, index: 3 } }
+  }
+};
+
+// Timestamps without an offset are wall time in the requested output_time_zone
+function parseTimestamp(value, timeZone = 'UTC') {
+  if (typeof value === 'number') {
+    // Elering uses UNIX seconds
+    return new Date(value < 100000000000 ? value * 1000 : value);
+  }
+  const text = String(value);
+  if (/[zZ]|[+-]\d\d:?\d\d$/.test(text)) return new Date(text);
+  return timeZone === 'UTC' ? new Date(`${text}Z`) : parseWallTime(text.replace(' ', 'T'), timeZone);
+}
+
+// Finds the array of rows and the column labels in a Baltic export payload
+function extractBalticTable(payload) {
+  const data = payload?.data || payload || {};
+  const rows = Array.isArray(data.timeseries) ? data.timeseries
+    : Array.isArray(data) ? data
+      : Object.entries(data).find(([key, value]) => key !== 'columns' && Array.isArray(value))?.[1] || [];
+  const columns = (data.columns || []).map(c =>
+    typeof c === 'string' ? c : [c.label, c.name, c.title, c.group_level_0, c.group_level_1].filter(Boolean).join(' '));
+  return { rows, columns };
+}
+
+function findColumn(columns, area, direction, fallback) {
+  const index = columns.findIndex(label => BALTIC_AREAS[area].test(label) && direction.test(label));
+  return index >= 0 ? index : fallback;
+}
+
+// start_date/end_date and the returned times are wall time in `timeZone`
+async function fetchBalticPrices(id, start, end, timeZone = 'UTC') {
+  const formatDate = (d) => wallTime(d, timeZone).slice(0, 16);
+  const response = await axios.get(BALTIC_URL, {
+    params: {
+      id,
+      start_date: formatDate(start),
+      end_date: formatDate(end),
+      output_time_zone: timeZone,
+      output_format: 'json'
+    },
+    timeout: 10000
+  });
+
+  const spec = BALTIC_COLUMNS[id];
+  const { rows, columns } = extractBalticTable(response.data);
+  const points = [];
+
+  for (const area of Object.keys(BALTIC_AREAS)) {
+    for (const [series, { direction, index }] of Object.entries(spec.series)) {
+      const column = findColumn(columns, area, direction, area === 'EE' ? index : -1);
+      if (column < 0) continue;
+      for (const row of rows) {
+        const value = Array.isArray(row.values) ? row.values[column] : null;
+        if (typeof value !== 'number') continue;
+        points.push({
+          series,
+          timestamp: parseTimestamp(row.from || row.start_time || row.timestamp, timeZone).toISOString(),
+          value,
+          unit: spec.unit,
+          source: spec.source,
+          area
+        });
+      }
+    }
+  }
+  return points;
+}
+
+async function fetchEleringPrices(start, end) {
+  const response = await axios.get(ELERING_URL, {
+    params: {
+      start: start.toISOString(),
+      end: end.toISOString()
+    },
+    timeout: 10000
+  });
+
+  if (response.data?.success === false) {
+    throw new Error('Elering API returned success=false');
+  }
+
+  return AREAS.flatMap(area => (response.data?.data?.[area.toLowerCase()] || [])
+    .filter(item => typeof item.price === 'number')
+    .map(item => ({
+      series: 'nordpool',
+      timestamp: parseTimestamp(item.timestamp).toISOString(),
+      value: item.price,
+      unit: 'EUR/MWh',
+      source: 'nordpool',
+      area
+    })));
+}
+
+// Comma-separated list of areas, e.g. "EE,FI"; throws on unknown ones
+function parseAreas(value) {
+  const areas = String(value).split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+  const unknown = areas.filter(a => !AREAS.includes(a));
+  if (areas.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid price area "${unknown[0] || value}". Use ${AREAS.join(', ')}`);
+  }
+  return Array.from(new Set(areas));
+}
+
+// Subtract covered [start, end] intervals from a requested range
+function findGaps(covered, start, end) {
+  const gaps = [];
+  let cursor = start;
+  for (const [from, to] of covered) {
+    if (to <= cursor) continue;
+    if (from >= end) break;
+    if (from > cursor) gaps.push([cursor, from]);
+    cursor = Math.max(cursor, to);
+  }
+  if (cursor < end) gaps.push([cursor, end]);
+  return gaps;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push(interval.slice());
+    }
+  }
+  return merged;
+}
+
+class PriceService extends EventEmitter {
+  constructor(cacheFile, { areas = ['EE'], timeZone = 'UTC' } = {}) {
+    super();
+    this.cacheFile = cacheFile;
+    this.areas = parseAreas(areas.join(','));
+    this.timeZone = timeZone; // for upstream APIs that work in wall time
+    this.cache = {}; // dataset -> { covered: [[from, to]], points: { area: { series: { timestamp: point } } } }
+    this.queues = {}; // dataset -> promise chain, so one gap is never fetched twice at once
+    this.saving = Promise.resolve(); // cache writes, one at a time
+    this.savePending = false;
+
+    for (const name of Object.keys(DATASETS)) {
+      this.cache[name] = { covered: [], points: {} };
+    }
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.cacheFile, 'utf8'));
+      if (stored.version !== CACHE_VERSION) {
+        console.log('[PRICES] Price cache has an older layout, refetching');
+        return;
+      }
+      for (const name of Object.keys(DATASETS)) {
+        if (stored[name]) this.cache[name] = stored[name];
+      }
+      console.log(`[PRICES] Loaded price cache from ${this.cacheFile}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PRICES] Ignoring unreadable price cache:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so concurrent requests never share the tmp file. Every
+  // write stores the whole cache, so one that is still waiting covers later calls too.
+  save() {
+    if (!this.savePending) {
+      this.savePending = true;
+      this.saving = this.saving.then(() => {
+        this.savePending = false;
+        return this.write();
+      }).catch(err => console.error('[PRICES] Failed to save cache:', err.message));
+    }
+    return this.saving;
+  }
+
+  async write() {
+    const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+    for (const entry of Object.values(this.cache)) {
+      entry.covered = entry.covered.filter(([, to]) => to >= cutoff);
+      for (const byArea of Object.values(entry.points)) {
+        for (const points of Object.values(byArea)) {
+          for (const timestamp of Object.keys(points)) {
+            if (Date.parse(timestamp) < cutoff) delete points[timestamp];
+          }
+        }
+      }
+    }
+
+    await fs.promises.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    const tmpPath = `${this.cacheFile}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ version: CACHE_VERSION, ...this.cache }));
+    await fs.promises.rename(tmpPath, this.cacheFile);
+  }
+
+  // Fetch whatever part of [start, end] is not cached yet, chunk by chunk.
+  // Returns whether any points were added.
+  async fill(name, start, end) {
+    const dataset = DATASETS[name];
+    const entry = this.cache[name];
+    const gaps = findGaps(entry.covered, start.getTime(), end.getTime());
+    let added = 0; // new or revised points
+
+    for (const [gapStart, gapEnd] of gaps) {
+      for (let chunkStart = gapStart; chunkStart < gapEnd; chunkStart += dataset.chunkMs) {
+        const chunkEnd = Math.min(chunkStart + dataset.chunkMs, gapEnd);
+        console.log(`[PRICES] Fetching ${name} ${new Date(chunkStart).toISOString()} - ${new Date(chunkEnd).toISOString()}`);
+
+        const points = await dataset.fetch(new Date(chunkStart), new Date(chunkEnd), { timeZone: this.timeZone });
+        for (const { series, ...point } of points) {
+          const byArea = entry.points[point.area] = entry.points[point.area] || {};
+          byArea[series] = byArea[series] || {};
+          if (byArea[series][point.timestamp]?.value !== point.value) added++;
+          byArea[series][point.timestamp] = point;
+        }
+
+        // Only cache what can no longer change
+        const settledEnd = Math.min(chunkEnd, Date.now() - FRESHNESS_MS);
+        if (settledEnd > chunkStart) {
+          entry.covered = mergeIntervals([...entry.covered, [chunkStart, settledEnd]]);
+        }
+      }
+    }
+
+    return added > 0;
+  }
+
+  // Normalized series for [start, end]. `series` holds the first of `areas`
+  // (by default the configured primary area), `areas` every requested area.
+  // Upstream failures are reported per source in `errors`; cached points for
+  // that source are still returned.
+  async getPrices(start, end, areas = this.areas) {
+    const byArea = Object.fromEntries(areas.map(area => [area, {}]));
+    const errors = {};
+    let fetched = false;
+
+    await Promise.all(Object.keys(DATASETS).map(async (name) => {
+      const run = (this.queues[name] || Promise.resolve()).then(() => this.fill(name, start, end));
+      this.queues[name] = run.catch(() => { });
+
+      try {
+        fetched = (await run) || fetched;
+      } catch (error) {
+        console.error(`[PRICES] ${name} fetch failed:`, error.message);
+        errors[name] = error.message;
+        this.emit('fetchError', { source: name, message: error.message });
+      }
+
+      for (const area of areas) {
+        for (const key of DATASETS[name].series) {
+          byArea[area][key] = Object.values(this.cache[name].points[area]?.[key] || {})
+            .filter(p => {
+              const t = Date.parse(p.timestamp);
+              return t >= start.getTime() && t <= end.getTime();
+            })
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+        }
+      }
+    }));
+
+    const series = byArea[areas[0]];
+
+    // Ranges reaching the present feed the alert rules (primary area only)
+    if (areas[0] === this.areas[0] && end.getTime() >= Date.now() - FRESHNESS_MS) {
+      this.emit('update', series);
+    }
+
+    if (fetched) {
+      await this.save();
+    }
+
+    return { series, areas: byArea, errors };
+  }
+}
+
+PriceService.SOURCES = Object.keys(DATASETS);
+PriceService.AREAS = AREAS;
+PriceService.parseAreas = parseAreas;
+
+module.exports = PriceService;
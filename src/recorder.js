@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('recorder');
+
+// Saves what the scraper sees on the live Soleron app as fixtures for the mock
+// app (src/mock-soleron.js):
+//   manifest.json         plants and when they were recorded
+//   styles.css            the app's CSS, so innerText keeps its line breaks
+//   <name>.html           rendered <body> without scripts: login, plants, plant-<id>
+//   <name>.api.json       captured XHR/fetch JSON responses: [{ url, body }]
+// Fixtures contain whatever the account shows (names, addresses); don't publish them.
+class FixtureRecorder {
+  constructor(dir) {
+    this.dir = dir;
+    this.stylesSaved = false;
+  }
+
+  async recordPage(page, name) {
+    const { html, css } = await page.evaluate((withStyles) => {
+      const body = document.body.cloneNode(true);
+      body.querySelectorAll('script, noscript, iframe').forEach(el => el.remove());
+
+      let styles = null;
+      if (withStyles) {
+        styles = Array.from(document.styleSheets).map(sheet => {
+          try {
+            return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+          } catch (e) {
+            return ''; // cross-origin stylesheet
+          }
+        }).join('\n');
+      }
+      return { html: body.innerHTML, css: styles };
+    }, !this.stylesSaved);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, `${name}.html`), html);
+    if (css) {
+      await fs.promises.writeFile(path.join(this.dir, 'styles.css'), css);
+      this.stylesSaved = true;
+    }
+    log.info(`Saved ${name}.html`);
+  }
+
+  async recordResponses(name, responses) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const entries = responses.map(({ url, body }) => ({ url: new URL(url).pathname, body }));
+    await fs.promises.writeFile(path.join(this.dir, `${name}.api.json`), JSON.stringify(entries, null, 2));
+    log.info(`Saved ${entries.length} API responses to ${name}.api.json`);
+  }
+
+  async writeManifest(plants) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, 'manifest.json'), JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      plants: plants.map(p => ({ key: FixtureRecorder.plantKey(p), name: p.name }))
+    }, null, 2));
+  }
+}
+
+// Fixture and mock route name of a plant: its Soleron id, or the slug when unknown
+FixtureRecorder.plantKey = (plant) => plant.soleronId || plant.id;
+
+module.exports = FixtureRecorder;
@@ -0,0 +1,175 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// SoC resolution of the optimizer: the battery is split into this many steps
+const SOC_STEPS = 100;
+
+// Battery energy below this (kWh) in an hour is reported as idle
+const IDLE_KWH = 0.05;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Hourly average of Nord Pool points (which may be 15-minute) from `start` on
+function hourlyPrices(points, start) {
+  const hours = new Map();
+  for (const point of points) {
+    const hour = Math.floor(Date.parse(point.timestamp) / HOUR_MS) * HOUR_MS;
+    if (hour < start) continue;
+    const entry = hours.get(hour) || { sum: 0, count: 0 };
+    entry.sum += point.value;
+    entry.count++;
+    hours.set(hour, entry);
+  }
+  return Array.from(hours.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([hour, { sum, count }]) => ({ hour, price: sum / count }));
+}
+
+// Typical load (consumption + car) and solar per local hour of day in kWh,
+// averaged from hourly history points
+function typicalProfile(points) {
+  const hours = Array.from({ length: 24 }, () => ({ load: 0, solar: 0, count: 0 }));
+  for (const point of points) {
+    if (point.consumption === null && point.solar === null) continue;
+    const entry = hours[new Date(point.timestamp).getHours()];
+    entry.load += ((point.consumption || 0) + (point.car || 0)) / 1000;
+    entry.solar += (point.solar || 0) / 1000;
+    entry.count++;
+  }
+  return hours.map(({ load, solar, count }) => ({
+    load: count ? load / count : 0,
+    solar: count ? solar / count : 0,
+    samples: count
+  }));
+}
+
+// Proposes an hourly charge/discharge plan that minimizes the grid bill over the
+// horizon of known day-ahead prices (dynamic programming over discrete SoC levels)
+class ScheduleRecommender {
+  constructor({
+    capacityKwh = 10,
+    maxChargeKw = 5,
+    maxDischargeKw = 5,
+    efficiency = 0.9,
+    reserveSoc = 20,
+    networkTariff = 0,
+    margin = 0
+  } = {}) {
+    this.capacityKwh = capacityKwh;
+    this.maxChargeKw = maxChargeKw;
+    this.maxDischargeKw = maxDischargeKw;
+    this.efficiency = efficiency; // round trip, split evenly between charging and discharging
+    this.reserveSoc = reserveSoc; // %
+    this.networkTariff = networkTariff; // EUR/kWh on imported energy
+    this.margin = margin;
+  }
+
+  get config() {
+    return {
+      capacityKwh: this.capacityKwh,
+      maxChargeKw: this.maxChargeKw,
+      maxDischargeKw: this.maxDischargeKw,
+      efficiency: this.efficiency,
+      reserveSoc: this.reserveSoc
+    };
+  }
+
+  // Cost of one hour's net grid energy in EUR: imports pay spot + tariff + margin,
+  // exports earn spot
+  gridCost(gridKwh, price) {
+    return gridKwh > 0
+      ? gridKwh * (price / 1000 + this.networkTariff + this.margin)
+      : gridKwh * price / 1000;
+  }
+
+  recommend({ prices, profile, soc, start }) {
+    const hours = hourlyPrices(prices, start);
+    if (hours.length === 0) {
+      throw new Error('No day-ahead prices available for the coming hours');
+    }
+
+    const stepKwh = this.capacityKwh / SOC_STEPS;
+    const minStep = Math.ceil(this.reserveSoc / 100 * SOC_STEPS);
+    const startStep = Math.min(Math.max(Math.round(soc / 100 * SOC_STEPS), 0), SOC_STEPS);
+    // At least one step per hour, or a small battery could never move at all
+    const maxUp = Math.max(1, Math.floor(this.maxChargeKw / stepKwh));
+    const maxDown = Math.max(1, Math.floor(this.maxDischargeKw / stepKwh));
+    const legEfficiency = Math.sqrt(this.efficiency);
+
+    // Energy left at the end is worth what it would fetch at the horizon's average price
+    const averagePrice = hours.reduce((sum, h) => sum + h.price, 0) / hours.length;
+    const terminalValue = (step) => step * stepKwh * legEfficiency * averagePrice / 1000;
+
+    const expected = hours.map(({ hour }) => profile[new Date(hour).getHours()]);
+
+    // best[t][s] = lowest cost from hour t on when starting hour t at SoC step s
+    const best = Array.from({ length: hours.length + 1 }, () => new Float64Array(SOC_STEPS + 1).fill(Infinity));
+    const choice = Array.from({ length: hours.length }, () => new Int32Array(SOC_STEPS + 1));
+    for (let s = 0; s <= SOC_STEPS; s++) {
+      best[hours.length][s] = -terminalValue(s);
+    }
+
+    for (let t = hours.length - 1; t >= 0; t--) {
+      const netLoad = expected[t].load - expected[t].solar;
+      for (let s = 0; s <= SOC_STEPS; s++) {
+        // Never plan to discharge into the reserve (but allow climbing out of it)
+        const lowest = Math.max(Math.min(minStep, s), s - maxDown, 0);
+        const highest = Math.min(SOC_STEPS, s + maxUp);
+        for (let next = lowest; next <= highest; next++) {
+          const stored = (next - s) * stepKwh;
+          const gridSide = stored > 0 ? stored / legEfficiency : stored * legEfficiency;
+          const cost = this.gridCost(netLoad + gridSide, hours[t].price) + best[t + 1][next];
+          if (cost < best[t][s]) {
+            best[t][s] = cost;
+            choice[t][s] = next;
+          }
+        }
+      }
+    }
+
+    let step = startStep;
+    let baselineCost = 0;
+    const plan = hours.map(({ hour, price }, t) => {
+      const next = choice[t][step];
+      const stored = (next - step) * stepKwh;
+      const gridSide = stored > 0 ? stored / legEfficiency : stored * legEfficiency;
+      const netLoad = expected[t].load - expected[t].solar;
+      baselineCost += this.gridCost(netLoad, price);
+
+      const action = Math.abs(stored) < IDLE_KWH ? 'idle' : stored > 0 ? 'charge' : 'discharge';
+      const entry = {
+        start: new Date(hour).toISOString(),
+        end: new Date(hour + HOUR_MS).toISOString(),
+        price: round(price, 2),
+        action,
+        batteryKwh: action === 'idle' ? 0 : round(Math.abs(stored)),
+        gridKwh: round(netLoad + gridSide),
+        expectedLoadKwh: round(expected[t].load),
+        expectedSolarKwh: round(expected[t].solar),
+        socStart: round(step / SOC_STEPS * 100, 1),
+        socEnd: round(next / SOC_STEPS * 100, 1)
+      };
+      step = next;
+      return entry;
+    });
+
+    // Doing nothing keeps the starting charge, which is valued the same way
+    baselineCost -= terminalValue(startStep);
+    const plannedCost = best[0][startStep];
+
+    return {
+      plan,
+      summary: {
+        baselineCost: round(baselineCost, 4),
+        plannedCost: round(plannedCost, 4),
+        savings: round(baselineCost - plannedCost, 4),
+        chargeKwh: round(plan.filter(p => p.action === 'charge').reduce((sum, p) => sum + p.batteryKwh, 0)),
+        dischargeKwh: round(plan.filter(p => p.action === 'discharge').reduce((sum, p) => sum + p.batteryKwh, 0)),
+        averagePrice: round(averagePrice, 2)
+      }
+    };
+  }
+}
+
+ScheduleRecommender.typicalProfile = typicalProfile;
+
+module.exports = ScheduleRecommender;
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('queue');
+
+// Finished jobs kept for GET /api/scrape/jobs
+const HISTORY_SIZE = 20;
+
+let nextId = 1;
+
+// Routes all scrape work through one queue so only one job ever drives the
+// browser. A request made while a job is queued or running shares that job's
+// result instead of starting another scrape. Each job has its own timeout and
+// can be cancelled; the next job waits until the cancelled one has really stopped.
+class ScrapeQueue {
+  constructor(run, { timeout = 10 * 60 * 1000 } = {}) {
+    this.run = run; // (job) => Promise, must stop soon after job.signal aborts
+    this.timeout = timeout;
+    this.current = null;
+    this.pending = null;
+    this.recent = [];
+  }
+
+  // Returns the job that will satisfy this request; await job.promise for the result
+  enqueue(source = 'api', { timeout = this.timeout } = {}) {
+    // A cancelled job may still be winding down, so new requests wait for a new job
+    const shared = this.pending || (this.current && this.current.state === 'running' ? this.current : null);
+    if (shared) {
+      shared.requests++;
+      if (!shared.sources.includes(source)) shared.sources.push(source);
+      return shared;
+    }
+
+    const job = this.createJob(source, timeout);
+    if (this.current) {
+      this.pending = job;
+    } else {
+      this.start(job);
+    }
+    return job;
+  }
+
+  createJob(source, timeout) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // Callers that only fire and forget must not cause unhandled rejections
+    promise.catch(() => { });
+
+    return {
+      id: nextId++,
+      // Correlation id of the scrape, in its log lines and debug bundles
+      scrapeId: crypto.randomBytes(4).toString('hex'),
+      sources: [source],
+      requests: 1,
+      state: 'queued',
+      timeoutMs: timeout,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      controller: new AbortController(),
+      promise,
+      resolve,
+      reject
+    };
+  }
+
+  async start(job) {
+    this.current = job;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    job.signal = job.controller.signal;
+    log.info(`Job ${job.id} started (${job.sources.join(', ')})`, { scrape: job.scrapeId });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Scrape job ${job.id} timed out after ${job.timeoutMs / 1000}s`);
+      error.name = 'TimeoutError';
+      this.settle(job, 'timed-out', error);
+    }, job.timeoutMs);
+
+    try {
+      const result = await this.run(job);
+      this.settle(job, 'succeeded', null, result);
+    } catch (error) {
+      this.settle(job, 'failed', error);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Only now is the browser free for the next job
+    this.current = null;
+    const next = this.pending;
+    this.pending = null;
+    if (next) this.start(next);
+  }
+
+  // First outcome wins: a job that timed out or was cancelled stays that way
+  // even if the scrape finishes afterwards
+  settle(job, state, error, result) {
+    if (job.finishedAt) return;
+    job.state = state;
+    job.finishedAt = new Date().toISOString();
+    job.error = error ? error.message : null;
+    if (state === 'timed-out' || state === 'cancelled') {
+      job.controller.abort(error);
+    }
+
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    this.recent.unshift(job);
+    this.recent.length = Math.min(this.recent.length, HISTORY_SIZE);
+    const shared = job.requests > 1 ? ` (shared by ${job.requests} requests)` : '';
+    (error ? log.warn : log.info).call(log, `Job ${job.id} ${state}${shared}`, { scrape: job.scrapeId, error });
+  }
+
+  // Cancels a queued or running job; false if there is no such active job
+  cancel(id) {
+    const error = new Error(`Scrape job ${id} was cancelled`);
+    error.name = 'AbortError';
+
+    if (this.pending && this.pending.id === id) {
+      const job = this.pending;
+      this.pending = null;
+      this.settle(job, 'cancelled', error);
+      return true;
+    }
+    if (this.current && this.current.id === id && this.current.state === 'running') {
+      this.settle(this.current, 'cancelled', error);
+      return true;
+    }
+    return false;
+  }
+
+  cancelAll() {
+    [this.pending, this.current].filter(Boolean).forEach(job => this.cancel(job.id));
+  }
+
+  describe(job) {
+    const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+    return {
+      id: job.id,
+      scrapeId: job.scrapeId,
+      state: job.state,
+      sources: job.sources,
+      requests: job.requests,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: job.startedAt ? end - Date.parse(job.startedAt) : null,
+      timeoutMs: job.timeoutMs,
+      error: job.error
+    };
+  }
+
+  getStatus() {
+    return {
+      current: this.current ? this.describe(this.current) : null,
+      pending: this.pending ? this.describe(this.pending) : null,
+      recent: this.recent.map(job => this.describe(job))
+    };
+  }
+}
+
+module.exports = ScrapeQueue;
@@ -0,0 +1,284 @@
+const MODES = ['always-on', 'on-demand', 'scheduled', 'adaptive'];
+const DEVICES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+const DURATION_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// The loop re-evaluates its plan at least this often, so a new schedule window
+// or an mFRR activation takes effect without waiting for a long interval
+const MAX_SLEEP_MS = 60 * 1000;
+
+// How often the adaptive mode asks the price service about mFRR activations
+const ACTIVATION_CHECK_MS = 5 * 60 * 1000;
+
+// Default windows for the scheduled mode: every minute in daylight, every 10 minutes at night
+const DEFAULT_WINDOWS = '* 6-21 * * *=1m; * 22-23,0-5 * * *=10m';
+
+// "90s", "1m", "10m" or plain milliseconds
+function parseInterval(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text);
+  const match = text.match(/^(\d+)([smh])$/);
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Invalid interval "${value}". Use e.g. 30s, 1m, 10m or milliseconds`);
+  }
+  return parseInt(match[1]) * DURATION_MS[match[2]];
+}
+
+// One cron field ("*", "*/5", "1-5", "0,30", "8-18/2") as a set of allowed values
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron field "${field}"`);
+    const from = match[1] === '*' ? min : parseInt(match[2]);
+    const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3]) : match[4] ? max : from;
+    const step = match[4] ? parseInt(match[4]) : 1;
+    if (from < min || to > max || from > to || step === 0) {
+      throw new Error(`Cron field "${field}" out of range ${min}-${max}`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Five-field cron expression (minute hour day-of-month month day-of-week) as a
+// matcher for local time. Like cron, a restricted day-of-month and day-of-week match either.
+function compileCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  const [minute, hour, dom, month, dow] = [
+    parseCronField(fields[0], 0, 59),
+    parseCronField(fields[1], 0, 23),
+    parseCronField(fields[2], 1, 31),
+    parseCronField(fields[3], 1, 12),
+    parseCronField(fields[4], 0, 7)
+  ];
+  if (dow.has(7)) dow.add(0); // Sunday is 0 or 7
+  const anyDom = fields[2] === '*';
+  const anyDow = fields[4] === '*';
+
+  return (date) => {
+    const domMatch = dom.has(date.getDate());
+    const dowMatch = dow.has(date.getDay());
+    const dayMatch = anyDom || anyDow ? domMatch && dowMatch : domMatch || dowMatch;
+    return minute.has(date.getMinutes()) && hour.has(date.getHours()) && month.has(date.getMonth() + 1) && dayMatch;
+  };
+}
+
+// "<cron>=<interval>; <cron>=<interval>" - the first window matching the current minute wins
+function parseWindows(value) {
+  return String(value).split(';').map(s => s.trim()).filter(Boolean).map(entry => {
+    const separator = entry.lastIndexOf('=');
+    if (separator < 0) throw new Error(`Invalid schedule window "${entry}". Use "<cron>=<interval>"`);
+    const cron = entry.slice(0, separator).trim();
+    return { cron, matches: compileCron(cron), intervalMs: parseInterval(entry.slice(separator + 1)) };
+  });
+}
+
+// Decides when the scrape loop runs:
+//   always-on  - every `interval`, from startup
+//   on-demand  - every `interval` while the dashboard or API is used, stops after `idleTimeout`
+//   scheduled  - interval of the first matching cron window, paused outside all windows
+//   adaptive   - every `interval`, `fastInterval` during mFRR activations or fast-changing loads
+class ScrapeScheduler {
+  constructor(run, {
+    mode = 'on-demand',
+    interval = 120000,
+    idleTimeout = 30 * 60 * 1000,
+    windows = DEFAULT_WINDOWS,
+    fastInterval = 30000,
+    loadDelta = 1000,
+    fastHold = 5 * 60 * 1000,
+    isActive = () => false,
+    checkActivation = async () => false
+  } = {}) {
+    ScrapeScheduler.validate({ mode, windows });
+    this.run = run;
+    this.mode = mode;
+    this.interval = interval;
+    this.idleTimeout = idleTimeout;
+    this.windows = mode === 'scheduled' ? parseWindows(windows) : [];
+    this.fastInterval = fastInterval;
+    this.loadDelta = loadDelta; // W change between snapshots that counts as fast-changing
+    this.fastHold = fastHold; // keep the fast interval this long after the last trigger
+    this.isActive = isActive; // e.g. open live streams keep on-demand scraping alive
+    this.checkActivation = checkActivation;
+
+    this.timer = null;
+    this.running = false;
+    this.busy = false;
+    this.lastActivity = Date.now();
+    this.lastRunAt = null;
+    this.nextRunAt = null;
+    this.fastUntil = 0;
+    this.fastReason = null;
+    this.activation = false;
+    this.lastActivationCheck = 0;
+    this.previous = {}; // plantId -> last snapshot, for load change detection
+  }
+
+  // Throws on an unknown mode or unparseable schedule windows
+  static validate({ mode = 'on-demand', windows = DEFAULT_WINDOWS }) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid scrape mode "${mode}". Use ${MODES.join(', ')}`);
+    }
+    if (mode === 'scheduled') {
+      parseWindows(windows);
+    }
+  }
+
+  // Scrapes started elsewhere (startup, manual refresh) count as runs; snapshots feed the adaptive mode
+  attachScraper(scraper) {
+    scraper.on('status', (status) => {
+      if (status.state === 'started') this.lastRunAt = Date.now();
+    });
+    scraper.on('data', (data) => this.observe(data));
+  }
+
+  observe(snapshot) {
+    const plantId = snapshot.plantId || 'default';
+    const previous = this.previous[plantId];
+    this.previous[plantId] = snapshot;
+    if (this.mode !== 'adaptive' || !previous) return;
+
+    const change = Math.max(0, ...DEVICES.map(device => {
+      const before = previous[device]?.load;
+      const after = snapshot[device]?.load;
+      return typeof before === 'number' && typeof after === 'number' ? Math.abs(after - before) : 0;
+    }));
+    if (change >= this.loadDelta) {
+      this.fastUntil = Date.now() + this.fastHold;
+      this.fastReason = `load changed by ${change} W`;
+      console.log(`[LOOP] Fast interval: ${this.fastReason}`);
+      this.reschedule();
+    }
+  }
+
+  // Start looping now, except on-demand, which waits for activity
+  start() {
+    if (this.mode !== 'on-demand') {
+      this.resume();
+    }
+  }
+
+  activity() {
+    this.lastActivity = Date.now();
+    this.resume();
+  }
+
+  resume() {
+    if (this.running) return;
+    console.log(`Starting scraping loop (${this.mode})...`);
+    this.running = true;
+    this.reschedule();
+  }
+
+  stop() {
+    this.running = false;
+    this.nextRunAt = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Interval that applies right now and why; intervalMs null means "don't scrape now"
+  plan(now = Date.now()) {
+    switch (this.mode) {
+      case 'scheduled': {
+        const window = this.windows.find(w => w.matches(new Date(now)));
+        return window
+          ? { intervalMs: window.intervalMs, reason: `window "${window.cron}"` }
+          : { intervalMs: null, reason: 'outside schedule windows' };
+      }
+      case 'adaptive':
+        if (this.activation) {
+          return { intervalMs: this.fastInterval, reason: 'mFRR activation' };
+        }
+        if (now < this.fastUntil) {
+          return { intervalMs: this.fastInterval, reason: this.fastReason };
+        }
+        return { intervalMs: this.interval, reason: 'normal' };
+      case 'on-demand':
+        return { intervalMs: this.interval, reason: 'recent activity' };
+      default:
+        return { intervalMs: this.interval, reason: 'always on' };
+    }
+  }
+
+  reschedule() {
+    if (!this.running || this.busy) return;
+    if (this.timer) clearTimeout(this.timer);
+
+    const now = Date.now();
+    const { intervalMs } = this.plan(now);
+    this.nextRunAt = intervalMs === null ? null : Math.max((this.lastRunAt || 0) + intervalMs, now);
+    const delay = this.nextRunAt === null ? MAX_SLEEP_MS : Math.min(this.nextRunAt - now, MAX_SLEEP_MS);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    const now = Date.now();
+
+    if (this.mode === 'on-demand') {
+      if (this.isActive()) this.lastActivity = now;
+      if (now - this.lastActivity > this.idleTimeout) {
+        console.log(`[LOOP] STOPPING - No activity for ${Math.floor((now - this.lastActivity) / 60000)} minutes`);
+        this.stop();
+        return;
+      }
+    }
+
+    this.busy = true;
+    try {
+      if (this.mode === 'adaptive' && now - this.lastActivationCheck >= ACTIVATION_CHECK_MS) {
+        this.lastActivationCheck = now;
+        const active = await this.checkActivation().catch(() => this.activation);
+        if (active !== this.activation) {
+          console.log(`[LOOP] mFRR activation ${active ? 'started' : 'ended'}`);
+        }
+        this.activation = active;
+      }
+
+      const { intervalMs, reason } = this.plan(now);
+      if (intervalMs !== null && now >= (this.lastRunAt || 0) + intervalMs) {
+        console.log(`[LOOP] Scraping... (${this.mode}: ${reason}, interval ${intervalMs / 1000}s)`);
+        await this.run();
+      }
+    } catch (error) {
+      console.error('[LOOP] Scrape failed:', error.message);
+    } finally {
+      this.busy = false;
+    }
+    this.reschedule();
+  }
+
+  getStatus() {
+    const { intervalMs, reason } = this.plan();
+    return {
+      mode: this.mode,
+      running: this.running,
+      intervalMs,
+      reason: this.running ? reason : 'idle, waiting for activity',
+      lastRunAt: this.lastRunAt ? new Date(this.lastRunAt).toISOString() : null,
+      nextRunAt: this.running && this.nextRunAt ? new Date(this.nextRunAt).toISOString() : null,
+      ...(this.mode === 'on-demand' && {
+        idleTimeoutMs: this.idleTimeout,
+        lastActivity: new Date(this.lastActivity).toISOString()
+      }),
+      ...(this.mode === 'scheduled' && {
+        windows: this.windows.map(w => ({ cron: w.cron, intervalMs: w.intervalMs }))
+      }),
+      ...(this.mode === 'adaptive' && {
+        fastIntervalMs: this.fastInterval,
+        mfrrActivation: this.activation
+      })
+    };
+  }
+}
+
+ScrapeScheduler.MODES = MODES;
+
+module.exports = ScrapeScheduler;
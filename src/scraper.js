@@ -1,17 +1,94 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
 const puppeteer = require('puppeteer');
-
-class SoleronScraper {
-  constructor(username, password) {
+const { parsePlants } = require('./plants');
+const { decodeApiPayloads } = require('./api-decoder');
+const { validateSnapshot } = require('./snapshot');
+const { parseCard, parseDailyTotals, legacyFields } = require('./devices');
+const SessionStore = require('./session-store');
+const FixtureRecorder = require('./recorder');
+const { createLogger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://app.soleronenergy.com/';
+
+// Keep at most this many captured API responses per plant visit
+const MAX_CAPTURED_RESPONSES = 100;
+
+// Errors that leave the browser session in an unknown state - restart it before retrying
+const SESSION_ERROR = /session|login|navigat|target closed|protocol error|detached|browser/i;
+
+// Refresh the session when its tokens expire within this margin
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Browser console errors kept for a stage's debug bundle
+const MAX_CONSOLE_ERRORS = 50;
+
+// Resolves early when the signal aborts
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+class SoleronScraper extends EventEmitter {
+  constructor(username, password, plants = parsePlants(), options = {}) {
+    super();
     this.username = username;
     this.password = password;
+    this.plants = plants;
+    // The live app, or the local mock (src/mock-soleron.js) when replaying fixtures
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.recorder = options.recordDir ? new FixtureRecorder(options.recordDir) : null;
     this.browser = null;
     this.page = null;
     this.isLoggedIn = false;
-    this.latestData = null;
+    this.latestData = null; // Latest snapshot of the first (default) plant
+    this.latestByPlant = {};
+    this.capturedResponses = [];
+    this.lastScrapeFailed = false;
+
+    // Retry / backoff / circuit breaker settings
+    this.maxRetries = options.maxRetries ?? 3;
+    this.backoffBase = options.backoffBase ?? 5000;
+    this.backoffMax = options.backoffMax ?? 60000;
+    this.circuitThreshold = options.circuitThreshold ?? 5;
+    this.circuitCooldown = options.circuitCooldown ?? 15 * 60 * 1000;
+
+    // Lifecycle state: idle -> scraping -> (backoff -> scraping)* -> idle | circuit-open
+    this.state = 'idle';
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = null;
+    this.lastSuccess = null;
+    this.lastError = null; // { message, timestamp }
+    this.plantHealth = {}; // plantId -> { lastSuccess, lastError }
+
+    // Saved browser session, so restarts and browser recoveries don't need a fresh login
+    this.sessionStore = options.sessionFile
+      ? new SessionStore(options.sessionFile, options.sessionSecret)
+      : null;
+    this.savedSessionDigest = null;
+    this.sessionExpiresAt = null;
+    this.loginCount = 0;
+    this.sessionRestores = 0;
+    this.sessionRefreshes = 0;
+    this.lastLogin = null;
+
+    // Debug bundles of failed stages (see src/diagnostics.js), null disables them
+    this.diagnostics = options.diagnostics || null;
+    this.consoleErrors = []; // since the current stage started
+    // Every line of a scrape carries its correlation id (and the plant while visiting one)
+    this.baseLog = createLogger('scraper');
+    this.log = this.baseLog;
+    this.scrapeId = null;
+    this.scrapeStartedAt = null;
+    this.attempt = 0;
+    this.signal = null;
   }
 
   async initialize() {
-    console.log('Initializing browser...');
+    this.log.info('Initializing browser...');
     this.browser = await puppeteer.launch({
       headless: 'new',
       args: [
@@ -23,69 +100,145 @@ class SoleronScraper {
     });
     this.page = await this.browser.newPage();
     await this.page.setViewport({ width: 1920, height: 1080 });
-    console.log('Browser initialized');
+    this.page.on('response', (response) => this.captureResponse(response));
+    this.page.on('console', (message) => {
+      if (message.type() === 'error') this.addConsoleError(message.text(), message.location()?.url);
+    });
+    this.page.on('pageerror', (error) => this.addConsoleError(error.message));
+    this.log.info('Browser initialized');
+  }
+
+  addConsoleError(text, url = null) {
+    this.consoleErrors.push({ timestamp: new Date().toISOString(), text, url });
+    if (this.consoleErrors.length > MAX_CONSOLE_ERRORS) this.consoleErrors.shift();
+  }
+
+  // Runs one stage of a scrape (login, session, navigation, extraction). A failed
+  // stage saves a debug bundle of the page before the error is passed on.
+  async runStage(stage, plant, action) {
+    const startedAt = Date.now();
+    this.consoleErrors = [];
+    try {
+      return await action();
+    } catch (error) {
+      // An aborted scrape is closing the browser; there is nothing left to capture
+      if (this.diagnostics && this.page && !this.signal?.aborted) {
+        await this.diagnostics.capture(this.page, {
+          stage,
+          scrapeId: this.scrapeId,
+          plant,
+          error,
+          consoleErrors: this.consoleErrors,
+          timing: {
+            scrapeStartedAt: this.scrapeStartedAt ? new Date(this.scrapeStartedAt).toISOString() : null,
+            stageStartedAt: new Date(startedAt).toISOString(),
+            stageDurationMs: Date.now() - startedAt,
+            scrapeElapsedMs: this.scrapeStartedAt ? Date.now() - this.scrapeStartedAt : null,
+            attempt: this.attempt + 1
+          }
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Absolute app URL for a hash route like "#/plants"
+  appUrl(route = '') {
+    return new URL(route, this.baseUrl).toString();
+  }
+
+  // Saves fixtures in record mode; recording problems never fail a scrape
+  async record(action) {
+    if (!this.recorder) return;
+    try {
+      await action(this.recorder);
+    } catch (error) {
+      this.log.warn('Failed to save fixture', { error });
+    }
+  }
+
+  // Keep JSON bodies of the Angular app's XHR/fetch calls for decodeCapturedResponses()
+  async captureResponse(response) {
+    try {
+      const type = response.request().resourceType();
+      if (type !== 'xhr' && type !== 'fetch') return;
+      if (!response.ok()) return;
+
+      const contentType = response.headers()['content-type'] || '';
+      if (!contentType.includes('json')) return;
+
+      const body = await response.json();
+      this.capturedResponses.push({ url: response.url(), timestamp: Date.now(), body });
+      if (this.capturedResponses.length > MAX_CAPTURED_RESPONSES) {
+        this.capturedResponses.shift();
+      }
+    } catch (e) {
+      // Body unavailable (redirect, page navigated away) - ignore
+    }
   }
 
   async login() {
-    console.log('Attempting to login...');
+    this.log.info('Attempting to login...');
     try {
-      await this.page.goto('https://app.soleronenergy.com/', {
+      await this.page.goto(this.appUrl(), {
         waitUntil: 'networkidle2',
         timeout: 30000
       });
 
-      console.log('Page loaded, looking for login form...');
+      this.log.debug('Page loaded, looking for login form...');
 
       // Wait for login form to appear
       await this.page.waitForSelector('input[type="email"], input[type="text"]', { timeout: 10000 });
-      console.log('Login form found');
+      this.log.debug('Login form found');
+      // Recorded before typing, so credentials never end up in a fixture
+      await this.record(recorder => recorder.recordPage(this.page, 'login'));
 
       // Fill in credentials
       const emailInput = await this.page.$('input[type="email"], input[type="text"]');
       await emailInput.type(this.username);
-      console.log('Email entered');
+      this.log.debug('Email entered');
 
       const passwordInput = await this.page.$('input[type="password"]');
       await passwordInput.type(this.password);
-      console.log('Password entered');
+      this.log.debug('Password entered');
 
-      console.log('Password entered. Looking for submit button...');
+      this.log.debug('Looking for submit button...');
 
       // Try to find the specific primary submit button (avoiding tabs)
       // Amplify uses .amplify-button--primary for the actual submit
       let submitButton = await this.page.$('button[type="submit"].amplify-button--primary');
 
       if (!submitButton) {
-        console.log('Primary Amplify button not found, looking for generic submit...');
+        this.log.debug('Primary Amplify button not found, looking for generic submit...');
         // Fallback
         submitButton = await this.page.$('button[type="submit"]:not([role="tab"])');
       }
 
       if (submitButton) {
-        console.log('Submit button found, clicking...');
+        this.log.debug('Submit button found, clicking...');
         await submitButton.click();
         // Wait for URL to change or login form to disappear
-        console.log('Waiting for login to complete (URL change or dashboard)...');
+        this.log.debug('Waiting for login to complete (URL change or dashboard)...');
         try {
           await this.page.waitForFunction(() => {
             return !window.location.href.includes('login') && !window.location.href.includes('signin');
           }, { timeout: 30000 });
         } catch (e) {
-          console.log('Wait for URL change timed out, checking if we are redirected anyway...');
+          this.log.debug('Wait for URL change timed out, checking if we are redirected anyway...');
         }
       } else {
-        console.log('Submit button not found, falling back to Enter...');
+        this.log.debug('Submit button not found, falling back to Enter...');
         await passwordInput.press('Enter');
         try {
           await this.page.waitForFunction(() => {
             return !window.location.href.includes('login') && !window.location.href.includes('signin');
           }, { timeout: 30000 });
         } catch (e) {
-          console.log('Wait for URL change timed out...');
+          this.log.debug('Wait for URL change timed out...');
         }
       }
 
-      console.log('Login action completed, checking status...');
+      this.log.debug('Login action completed, checking status...');
 
       // Wait for Angular to render
       await new Promise(resolve => setTimeout(resolve, 3000));
@@ -93,9 +246,9 @@ class SoleronScraper {
       // Verify login by checking if password field is gone
       try {
         await this.page.waitForSelector('input[type="password"]', { hidden: true, timeout: 5000 });
-        console.log('Password field gone, assuming login success.');
+        this.log.debug('Password field gone, assuming login success.');
       } catch (e) {
-        console.log('Password field still present.');
+        this.log.debug('Password field still present.');
         const text = await this.page.evaluate(() => document.body.innerText);
         if (text.includes('Invalid email') || text.includes('Wrong password') || text.includes('Error')) {
           throw new Error('Login failed: Invalid credentials or error message displayed.');
@@ -105,54 +258,272 @@ class SoleronScraper {
       }
 
       const currentUrl = this.page.url();
-      console.log('Current URL:', currentUrl);
+      this.log.debug(`Current URL: ${currentUrl}`);
 
       this.isLoggedIn = true;
-      console.log('Login successful!');
+      this.loginCount++;
+      this.lastLogin = new Date().toISOString();
+      this.log.info(`Login successful! (${this.loginCount} login(s) since start)`);
+      this.emit('login');
+      await this.saveSession();
     } catch (error) {
-      console.error('Login failed:', error.message);
-      throw new Error('Login failed');
+      this.log.error('Login failed', { error });
+      // Keep the cause: it ends up in the debug bundle and the scrape status
+      throw new Error(error.message.startsWith('Login failed') ? error.message : `Login failed: ${error.message}`);
     }
   }
 
-  async navigateToPlant() {
-    console.log('Navigating to plant list...');
-    await this.page.goto('https://app.soleronenergy.com/#/plants', { waitUntil: 'networkidle2', timeout: 30000 });
+  // Cookies (all domains, including the identity provider), localStorage and IndexedDB of the app
+  async captureSession() {
+    const client = await this.page.createCDPSession();
+    let cookies;
+    try {
+      ({ cookies } = await client.send('Network.getAllCookies'));
+    } finally {
+      await client.detach();
+    }
+
+    const storage = await this.page.evaluate(async () => {
+      const request = (r) => new Promise((resolve, reject) => {
+        r.onsuccess = () => resolve(r.result);
+        r.onerror = () => reject(r.error);
+      });
+
+      const local = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        local[key] = localStorage.getItem(key);
+      }
+
+      const databases = [];
+      for (const { name, version } of (indexedDB.databases ? await indexedDB.databases() : [])) {
+        const db = await request(indexedDB.open(name));
+        const stores = [];
+        for (const storeName of Array.from(db.objectStoreNames)) {
+          const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+          const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+          stores.push({
+            name: storeName,
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            records: keys.map((key, i) => ({ key, value: values[i] }))
+          });
+        }
+        db.close();
+        databases.push({ name, version, stores });
+      }
+      return { localStorage: local, indexedDB: databases };
+    });
+
+    return {
+      cookies: cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) =>
+        ({ name, value, domain, path, expires, httpOnly, secure, sameSite })),
+      ...storage
+    };
+  }
 
-    console.log('Waiting for plant list "Lao 8a"...');
+  // Store the session when it changed since the last save
+  async saveSession() {
+    if (!this.sessionStore) return;
     try {
-      // Wait for element containing text "Lao 8a"
-      await this.page.waitForFunction(() => {
+      const session = await this.captureSession();
+      const digest = crypto.createHash('sha256').update(JSON.stringify(session)).digest('hex');
+      if (digest === this.savedSessionDigest) return;
+      await this.sessionStore.save(session);
+      this.savedSessionDigest = digest;
+      this.log.debug('Browser session saved');
+    } catch (error) {
+      this.log.warn('Failed to save browser session', { error });
+    }
+  }
+
+  // Load the saved session into the fresh browser instead of logging in.
+  // Returns false (and forgets the saved session) when it is no longer valid.
+  async restoreSession() {
+    const session = this.sessionStore ? await this.sessionStore.load() : null;
+    if (!session) return false;
+
+    this.log.info(`Restoring browser session saved at ${session.savedAt}...`);
+    try {
+      const client = await this.page.createCDPSession();
+      try {
+        await client.send('Network.setCookies', { cookies: session.cookies });
+      } finally {
+        await client.detach();
+      }
+
+      // Storage is per origin, so open the app before writing it
+      await this.page.goto(this.appUrl(), { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.page.evaluate(async ({ local, databases }) => {
+        const request = (r) => new Promise((resolve, reject) => {
+          r.onsuccess = () => resolve(r.result);
+          r.onerror = () => reject(r.error);
+        });
+
+        for (const [key, value] of Object.entries(local)) {
+          localStorage.setItem(key, value);
+        }
+
+        for (const { name, version, stores } of databases) {
+          const open = indexedDB.open(name, version);
+          open.onupgradeneeded = () => {
+            for (const store of stores) {
+              if (!open.result.objectStoreNames.contains(store.name)) {
+                open.result.createObjectStore(store.name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement });
+              }
+            }
+          };
+          const db = await request(open);
+          for (const store of stores) {
+            if (!db.objectStoreNames.contains(store.name)) continue;
+            const objectStore = db.transaction(store.name, 'readwrite').objectStore(store.name);
+            await Promise.all(store.records.map(({ key, value }) =>
+              request(store.keyPath === null ? objectStore.put(value, key) : objectStore.put(value))));
+          }
+          db.close();
+        }
+      }, { local: session.localStorage || {}, databases: session.indexedDB || [] });
+
+      await this.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+      const { onLoginPage, expiresAt } = await this.checkSession();
+      if (onLoginPage || (expiresAt !== null && expiresAt <= Date.now())) {
+        throw new Error(onLoginPage ? 'login page shown' : 'tokens expired');
+      }
+
+      this.isLoggedIn = true;
+      this.sessionRestores++;
+      this.sessionExpiresAt = expiresAt;
+      this.log.info('Browser session restored, no login needed');
+      this.emit('sessionRestore');
+      return true;
+    } catch (error) {
+      this.log.info(`Saved session not usable (${error.message}), logging in instead`);
+      await this.sessionStore.clear().catch(() => { });
+      this.savedSessionDigest = null;
+      await this.clearBrowserSession();
+      return false;
+    }
+  }
+
+  // Start from a clean slate so login() sees the login form
+  async clearBrowserSession() {
+    try {
+      const client = await this.page.createCDPSession();
+      await client.send('Network.clearBrowserCookies');
+      await client.detach();
+      await this.page.evaluate(async () => {
+        localStorage.clear();
+        for (const { name } of (indexedDB.databases ? await indexedDB.databases() : [])) {
+          indexedDB.deleteDatabase(name);
+        }
+      });
+    } catch (error) {
+      this.log.warn('Failed to clear browser session', { error });
+    }
+  }
+
+  // Whether the app shows its login page, and when the earliest token in
+  // localStorage expires (Amplify keeps Cognito JWTs there)
+  async checkSession() {
+    return this.page.evaluate(() => {
+      const onLoginPage = /login|signin/i.test(window.location.href) ||
+        !!document.querySelector('input[type="password"]');
+
+      let expiresAt = null;
+      for (let i = 0; i < localStorage.length; i++) {
+        const value = localStorage.getItem(localStorage.key(i)) || '';
+        if (!/^eyJ[\w-]+\.[\w-]+\.[\w-]+$/.test(value)) continue;
+        try {
+          const payload = JSON.parse(atob(value.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+          if (typeof payload.exp === 'number') {
+            expiresAt = Math.min(expiresAt ?? Infinity, payload.exp * 1000);
+          }
+        } catch (e) {
+          // Not a JWT after all
+        }
+      }
+      return { onLoginPage, expiresAt };
+    });
+  }
+
+  // Called before every plant navigation: catch an expired session up front
+  // instead of failing halfway through a scrape. Refreshes in the running browser.
+  async ensureSession() {
+    const { onLoginPage, expiresAt } = await this.checkSession();
+    this.sessionExpiresAt = expiresAt;
+
+    if (onLoginPage) {
+      this.log.info('Session expired (login page shown), logging in again...');
+      this.isLoggedIn = false;
+      await this.login();
+      return;
+    }
+    if (expiresAt === null || expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) return;
+
+    // Reloading lets the app use its refresh token; only log in if that didn't work
+    this.log.info(`Session tokens expire at ${new Date(expiresAt).toISOString()}, refreshing...`);
+    await this.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+    const after = await this.checkSession();
+    if (after.onLoginPage || (after.expiresAt !== null && after.expiresAt - Date.now() <= TOKEN_REFRESH_MARGIN_MS)) {
+      this.log.warn('Token refresh did not work, logging in again...');
+      this.isLoggedIn = false;
+      await this.clearBrowserSession();
+      await this.login();
+      return;
+    }
+
+    this.sessionExpiresAt = after.expiresAt;
+    this.sessionRefreshes++;
+    this.log.info('Session refreshed without a new login');
+    this.emit('sessionRefresh');
+    await this.saveSession();
+  }
+
+  async navigateToPlant(plant) {
+    // Responses from the previous plant must not leak into this one
+    this.capturedResponses = [];
+
+    this.log.debug('Navigating to plant list...');
+    await this.page.goto(this.appUrl('#/plants'), { waitUntil: 'networkidle2', timeout: 30000 });
+
+    this.log.debug(`Waiting for plant list "${plant.name}"...`);
+    try {
+      // Wait for element containing the plant name
+      await this.page.waitForFunction((name) => {
         const elements = Array.from(document.querySelectorAll('*'));
-        return elements.some(el => el.innerText && el.innerText.includes('Lao 8a'));
-      }, { timeout: 15000 });
+        return elements.some(el => el.innerText && el.innerText.includes(name));
+      }, { timeout: 15000 }, plant.name);
 
-      console.log('Found "Lao 8a" text, finding element to click...');
+      this.log.debug(`Found "${plant.name}" text, finding element to click...`);
+      await this.record(recorder => recorder.recordPage(this.page, 'plants'));
 
-      const link = await this.page.evaluateHandle(() => {
+      const link = await this.page.evaluateHandle((name) => {
         const elements = Array.from(document.querySelectorAll('a, div, td, span'));
         // prioritization: link > div
-        return elements.find(el => el.innerText && el.innerText.trim() === 'Lao 8a') ||
-          elements.find(el => el.innerText && el.innerText.includes('Lao 8a'));
-      });
+        return elements.find(el => el.innerText && el.innerText.trim() === name) ||
+          elements.find(el => el.innerText && el.innerText.includes(name));
+      }, plant.name);
 
       if (link) {
-        console.log('Found element, clicking...');
+        this.log.debug('Found element, clicking...');
         await link.click();
         // Wait for dashboard to load (look for "Solar" or "Grid")
         await this.page.waitForFunction(() => {
           const text = document.body.innerText;
           return text.includes('Solar') || text.includes('Grid');
         }, { timeout: 15000 });
-        console.log('Dashboard elements loaded via list navigation');
+        this.log.debug('Dashboard elements loaded via list navigation');
       } else {
-        throw new Error('Link "Lao 8a" not found after wait');
+        throw new Error(`Link "${plant.name}" not found after wait`);
       }
     } catch (e) {
-      console.error('Navigation via list failed:', e.message);
-      console.log('Attempting fallback deep link...');
+      this.log.warn('Navigation via list failed', { error: e });
+      if (!plant.soleronId) {
+        throw new Error(`Failed to navigate to plant "${plant.name}": not in plant list and no plant id configured`);
+      }
+      this.log.info('Attempting fallback deep link...');
       // Fallback to old method just in case
-      await this.page.goto('https://app.soleronenergy.com/#/plants/290', { waitUntil: 'networkidle2' });
+      await this.page.goto(this.appUrl(`#/plants/${plant.soleronId}`), { waitUntil: 'networkidle2' });
     }
 
     // Final check
@@ -162,206 +533,363 @@ class SoleronScraper {
     });
 
     if (!onPage) {
-      console.log('Not on dashboard yet. Current URL:', this.page.url());
+      this.log.warn(`Not on dashboard yet. Current URL: ${this.page.url()}`);
       throw new Error(`Failed to navigate to plant page. Current URL: ${this.page.url()}`);
     }
 
-    console.log('Successfully on plant page:', this.page.url());
+    this.log.info(`Successfully on plant page: ${this.page.url()}`);
   }
 
-  async scrapeEnergyFlow() {
-    console.log('Scraping energy flow data...');
+  async scrapeEnergyFlow(plant) {
+    this.log.info(`Scraping energy flow data for "${plant.name}"...`);
     try {
       // Wait for Angular to fully render and data to populate
       try {
         await this.page.waitForFunction(() => {
           const text = document.body.innerText || '';
-          return text.includes('Solar') && text.includes('Grid') && text.includes('Load:');
+          return text.includes('Load:');
         }, { timeout: 15000 });
       } catch (e) {
-        console.log('Timeout waiting for data elements, taking screenshot and attempting scrape anyway...');
-        try {
-          await this.page.screenshot({ path: 'debug-scrape-timeout.png' });
-          console.log('Saved debug screenshot to debug-scrape-timeout.png');
-        } catch (err) {
-          console.error('Failed to take screenshot:', err);
-        }
+        // If the data really is missing, validation fails and the extraction stage saves a debug bundle
+        this.log.warn('Timeout waiting for data elements, attempting scrape anyway...');
       }
 
-      const data = await this.page.evaluate(() => {
-        const result = {
-          timestamp: new Date().toISOString(),
-          solar: { load: null, status: null },
-          grid: { load: null, status: null },
-          battery: { load: null, soc: null, status: null },
-          car: { load: null, status: null },
-          consumption: { load: null, status: null },
-          mfrr: null
-        };
-
-        // Helper to extract load value (returns watts)
-        const extractLoad = (text) => {
-          const match = text.match(/Load:\s*(-?\d+)\s*W/i);
-          return match ? parseInt(match[1]) : null;
-        };
-
-        // Helper to extract status (second line after device name)
-        const extractStatus = (text) => {
-          const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-          // Status is usually: DeviceName, STATUS, Load:, ...
-          // So it's the second non-empty line
-          if (lines.length >= 2) {
-            const status = lines[1];
-            // Make sure it's not a "Load:" line
-            if (!status.startsWith('Load:') && !status.startsWith('SoC:')) {
-              return status;
-            }
-          }
-          return null;
-        };
-
-        // Helper to extract SoC
-        const extractSoC = (text) => {
-          const match = text.match(/SoC:\s*(\d+)%/i);
-          return match ? parseInt(match[1]) : null;
-        };
-
-        // Find all elements - more universal approach
-        const allElements = Array.from(document.querySelectorAll('*'));
-
-        // Find elements containing specific keywords
-        const findElement = (keyword) => {
-          return allElements.find(el => {
-            const text = el.innerText || el.textContent || '';
-            const hasKeyword = text.includes(keyword);
-            const hasLoad = text.includes('Load:');
-            // Element should be small enough (not the whole page)
-            return hasKeyword && hasLoad && text.length < 200;
-          });
-        };
+      await this.record(async (recorder) => {
+        const name = `plant-${FixtureRecorder.plantKey(plant)}`;
+        await recorder.recordPage(this.page, name);
+        await recorder.recordResponses(name, this.capturedResponses);
+      });
 
-        // Helper to get text with line breaks preserved
-        const getText = (el) => el.innerText || el.textContent || '';
+      // Prefer the app's own API payloads, fall back to parsing the rendered DOM
+      let data = this.decodeCapturedResponses(plant);
+      if (data && validateSnapshot(data).length === 0) {
+        this.log.info(`Decoded energy flow from ${this.capturedResponses.length} captured API responses`);
+      } else {
+        this.log.info('No usable API payloads captured, falling back to DOM parsing...');
+        data = await this.parseDom(plant);
+        data.source = 'dom';
+      }
 
-        // Find Solar
-        const solarCard = findElement('Solar');
-        if (solarCard) {
-          const text = getText(solarCard);
-          result.solar.load = extractLoad(text);
-          result.solar.status = extractStatus(text);
-        }
+      const problems = validateSnapshot(data);
+      if (problems.length > 0) {
+        throw new Error(`Invalid snapshot: ${problems.join('; ')}`);
+      }
 
-        // Find Grid - simpler check
-        const gridCard = findElement('Grid');
-        if (gridCard) {
-          const text = getText(gridCard);
-          result.grid.load = extractLoad(text);
-          result.grid.status = extractStatus(text);
-        }
+      this.latestByPlant[plant.id] = data;
+      if (plant === this.plants[0]) {
+        this.latestData = data;
+      }
+      this.log.debug(`Scraped data: ${JSON.stringify(data)}`);
+      this.emit('data', data);
+      return data;
+    } catch (error) {
+      // Never hand back the previous snapshot as if it were fresh
+      this.log.error('Scraping failed', { error });
+      throw error;
+    }
+  }
 
-        // Find Battery
-        const batteryCard = findElement('Battery');
-        if (batteryCard) {
-          const text = getText(batteryCard);
-          result.battery.load = extractLoad(text);
-          result.battery.soc = extractSoC(text);
-          result.battery.status = extractStatus(text);
-        }
+  // Structured data from the XHR/fetch responses captured since navigation
+  decodeCapturedResponses(plant) {
+    let responses = this.capturedResponses;
 
-        // Find Car
-        const carCard = findElement('Car');
-        if (carCard) {
-          const text = getText(carCard);
-          result.car.load = extractLoad(text);
-          result.car.status = extractStatus(text);
-        }
+    // Prefer responses that explicitly belong to this plant
+    if (plant.soleronId) {
+      const forPlant = responses.filter(r => r.url.includes(plant.soleronId));
+      if (forPlant.length > 0) responses = forPlant;
+    }
 
-        // Find Consumption
-        const consumptionCard = findElement('Consumption');
-        if (consumptionCard) {
-          const text = getText(consumptionCard);
-          result.consumption.load = extractLoad(text);
-          result.consumption.status = extractStatus(text);
-        }
+    const decoded = decodeApiPayloads(responses.map(r => r.body));
+    if (!decoded) return null;
 
-        // Find mFRR value
-        // Look for elements containing "mFRR"
-        const mfrrElement = allElements.find(el => {
-          const text = (el.innerText || el.textContent || '').toLowerCase();
-          return text.includes('mfrr') && text.length < 500;
-        });
+    return {
+      timestamp: new Date().toISOString(),
+      plantId: plant.id,
+      plantName: plant.name,
+      ...decoded,
+      source: 'api'
+    };
+  }
 
-        if (mfrrElement) {
-          const text = getText(mfrrElement);
-          // Extract number after "mFRR" keyword
-          const match = text.match(/mFRR[\s\n]*(\d+\.?\d*)\s*€?/i);
-          if (match) {
-            result.mfrr = parseFloat(match[1]);
-          }
+  // Fallback: read every device card of the rendered energy flow view
+  async parseDom(plant) {
+    const page = await this.page.evaluate(() => {
+      const texts = new Map();
+      const getText = (el) => {
+        if (!texts.has(el)) texts.set(el, el.innerText || el.textContent || '');
+        return texts.get(el);
+      };
+      const countLoads = (el) => (getText(el).match(/Load:/gi) || []).length;
+      const toLines = (text) => text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+
+      // A card is the largest element around exactly one "Load:" line that is
+      // still small enough to be a single device (not the whole flow view)
+      const allElements = Array.from(document.body.querySelectorAll('*'));
+      const cards = new Set();
+      for (const el of allElements) {
+        if (countLoads(el) !== 1 || Array.from(el.children).some(child => countLoads(child) === 1)) continue;
+        let card = el;
+        while (card.parentElement && card.parentElement !== document.body &&
+          countLoads(card.parentElement) === 1 && getText(card.parentElement).length < 300) {
+          card = card.parentElement;
         }
+        cards.add(card);
+      }
 
-        return result;
+      // Text outside the cards, for the plant's daily totals
+      const pageLines = [];
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      const cardList = Array.from(cards);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const parent = node.parentElement;
+        if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+        if (cardList.some(card => card.contains(node))) continue;
+        pageLines.push(...toLines(node.textContent || ''));
+      }
+
+      // mFRR value: element mentioning "mFRR", number after the keyword
+      let mfrr = null;
+      const mfrrElement = allElements.find(el => {
+        const text = getText(el).toLowerCase();
+        return text.includes('mfrr') && text.length < 500;
       });
+      if (mfrrElement) {
+        const match = getText(mfrrElement).match(/mFRR[\s\n]*(\d+\.?\d*)\s*€?/i);
+        if (match) mfrr = parseFloat(match[1]);
+      }
 
-      this.latestData = data;
-      console.log('Scraped data:', JSON.stringify(data, null, 2));
-      return data;
-    } catch (error) {
-      console.error('Scraping failed:', error.message);
-      return this.latestData; // Return cached data if available
-    }
+      return { cards: cardList.map(card => toLines(getText(card))), pageLines, mfrr };
+    });
+
+    // Classify by card name only, so "Car" can't match unrelated text elsewhere
+    const devices = page.cards.filter(lines => lines.length > 1).map(parseCard);
+    return {
+      timestamp: new Date().toISOString(),
+      plantId: plant.id,
+      plantName: plant.name,
+      ...legacyFields(devices),
+      mfrr: page.mfrr,
+      devices,
+      dailyTotals: parseDailyTotals(page.pageLines)
+    };
+  }
+
+  // Lifecycle events: started, retrying, completed, failed, recovered, circuit-open, cancelled
+  emitStatus(state, message = null, extra = {}) {
+    this.emit('status', { state, message, scrapeId: this.scrapeId, timestamp: new Date().toISOString(), ...extra });
   }
 
-  async scrape() {
+  // One full cycle over all plants with bounded retries and exponential backoff.
+  // Throws when every attempt failed, the circuit breaker is open or `signal`
+  // aborted. Aborting closes the browser, since a Puppeteer navigation can't be
+  // interrupted otherwise; the next cycle starts a new one. `scrapeId` is the
+  // correlation id of the cycle's log lines, status events and debug bundles.
+  async scrape({ signal, scrapeId = crypto.randomBytes(4).toString('hex') } = {}) {
+    signal?.throwIfAborted();
+    this.scrapeId = scrapeId;
+    this.log = this.baseLog.child({ scrape: scrapeId });
+    let retries = this.maxRetries;
+    if (this.circuitOpenUntil) {
+      if (Date.now() < this.circuitOpenUntil) {
+        throw new Error(`Circuit open until ${new Date(this.circuitOpenUntil).toISOString()} after ${this.consecutiveFailures} failed cycles`);
+      }
+      // Half-open: a single trial attempt decides whether the circuit closes again
+      this.log.info('Circuit breaker cooldown over, trying once (half-open)...');
+      this.circuitOpenUntil = null;
+      retries = 0;
+    }
+
+    const startedAt = Date.now();
+    this.scrapeStartedAt = startedAt;
+    this.signal = signal || null;
+    this.state = 'scraping';
+    this.emitStatus('started');
+
+    // The close is awaited before the job ends, so the next job can't pick up
+    // the browser while it is still shutting down
+    let closing = null;
+    const onAbort = () => {
+      this.log.warn(`Scrape aborted: ${signal.reason?.message || 'cancelled'}. Closing browser...`);
+      closing = this.close().catch(err => this.log.error('Failed to close browser', { error: err }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     try {
-      // Initialize browser if not already done
-      if (!this.browser) {
-        await this.initialize();
+      return await this.runAttempts(retries, startedAt, signal);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (closing) await closing;
+    }
+  }
+
+  async runAttempts(retries, startedAt, signal) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      this.attempt = attempt;
+      if (attempt > 0) {
+        const delay = Math.min(this.backoffBase * 2 ** (attempt - 1), this.backoffMax);
+        this.log.info(`Retrying scrape in ${delay / 1000}s (attempt ${attempt + 1}/${retries + 1})...`);
+        this.state = 'backoff';
+        this.emitStatus('retrying', lastError.message, { attempt, delayMs: delay });
+        await sleep(delay, signal);
+        this.state = 'scraping';
       }
 
-      // Login if not already logged in
-      if (!this.isLoggedIn) {
-        await this.login();
+      if (signal?.aborted) {
+        this.onCycleAborted(signal.reason, startedAt);
+        throw signal.reason;
       }
 
-      // Navigate to plant page
-      await this.navigateToPlant();
+      try {
+        await this.scrapeAllPlants(signal);
+        this.onCycleSuccess(startedAt);
+        return this.latestData;
+      } catch (error) {
+        if (signal?.aborted) {
+          this.onCycleAborted(signal.reason, startedAt);
+          throw signal.reason;
+        }
+        lastError = error;
+        this.log.warn(`Scrape attempt ${attempt + 1} failed`, { error });
 
-      // Scrape data
-      const data = await this.scrapeEnergyFlow();
-      return data;
-    } catch (error) {
-      console.error('Scrape cycle failed:', error.message);
+        if (SESSION_ERROR.test(error.message)) {
+          this.log.info('Session or navigation error detected. Restarting browser session...');
+          await this.close().catch(err => this.log.error('Failed to close browser', { error: err }));
+          this.emit('browserRestart');
+        }
+      }
+    }
 
-      // Try to recover by re-initializing
-      if (error.message.includes('Session') || error.message.includes('login') || error.message.includes('navigate')) {
-        console.log('Session or navigation error detected. Restarting browser session...');
-        this.isLoggedIn = false;
-        await this.close();
+    // No attempt at all only happens with a negative retry count
+    lastError = lastError || new Error(`No scrape attempt made (maxRetries ${this.maxRetries})`);
+    this.onCycleFailure(lastError, startedAt);
+    throw lastError;
+  }
 
-        // Wait a bit before retrying
-        await new Promise(resolve => setTimeout(resolve, 5000));
+  async scrapeAllPlants(signal) {
+    // Initialize browser if not already done
+    if (!this.browser) {
+      await this.initialize();
+    }
 
-        return await this.scrape(); // Retry
+    // Reuse the saved session if possible, otherwise log in
+    if (!this.isLoggedIn && !(await this.restoreSession())) {
+      await this.runStage('login', null, () => this.login());
+    }
+    await this.record(recorder => recorder.writeManifest(this.plants));
+
+    // Visit each plant in turn using the same browser session
+    const failures = [];
+    for (const plant of this.plants) {
+      signal?.throwIfAborted();
+      const health = this.plantHealth[plant.id] = this.plantHealth[plant.id] || { lastSuccess: null, lastError: null };
+      const scrapeLog = this.log;
+      this.log = scrapeLog.child({ plant: plant.id });
+      try {
+        await this.runStage('session', plant, () => this.ensureSession());
+        await this.runStage('navigation', plant, () => this.navigateToPlant(plant));
+        await this.runStage('extraction', plant, () => this.scrapeEnergyFlow(plant));
+        health.lastSuccess = new Date().toISOString();
+      } catch (error) {
+        this.log.error(`Plant "${plant.name}" failed`, { error });
+        health.lastError = { message: error.message, timestamp: new Date().toISOString() };
+        failures.push(error);
+      } finally {
+        this.log = scrapeLog;
       }
+    }
+
+    // Only treat the cycle as failed when no plant could be reached
+    if (failures.length === this.plants.length) {
+      throw failures[0];
+    }
+
+    // The app may have rotated its tokens while we browsed
+    await this.saveSession();
+  }
+
+  onCycleSuccess(startedAt) {
+    this.state = 'idle';
+    this.consecutiveFailures = 0;
+    this.lastSuccess = new Date().toISOString();
+
+    this.emitStatus('completed', null, { durationMs: Date.now() - startedAt });
+    if (this.lastScrapeFailed) {
+      this.lastScrapeFailed = false;
+      this.emitStatus('recovered');
+    }
+  }
+
+  // A timeout counts as a failed cycle (the site may be hanging), a cancel doesn't
+  onCycleAborted(reason, startedAt) {
+    if (reason?.name === 'TimeoutError') {
+      this.onCycleFailure(reason, startedAt);
+    } else {
+      this.state = 'idle';
+      this.emitStatus('cancelled', reason?.message || null, { durationMs: Date.now() - startedAt });
+    }
+  }
 
-      return this.latestData; // Return cached data
+  onCycleFailure(error, startedAt) {
+    this.consecutiveFailures++;
+    this.lastScrapeFailed = true;
+    this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+    this.log.error(`Scrape cycle failed (${this.consecutiveFailures} in a row)`, { error });
+
+    this.state = 'idle';
+    this.emitStatus('failed', error.message, { durationMs: Date.now() - startedAt });
+
+    // Stop hammering Soleron (and the browser) after repeated failed cycles
+    if (this.consecutiveFailures >= this.circuitThreshold) {
+      this.circuitOpenUntil = Date.now() + this.circuitCooldown;
+      this.state = 'circuit-open';
+      this.log.error(`Circuit breaker open for ${this.circuitCooldown / 60000} min`);
+      this.emitStatus('circuit-open', error.message, { until: new Date(this.circuitOpenUntil).toISOString() });
     }
   }
 
+  getHealth() {
+    const circuitOpen = !!this.circuitOpenUntil && Date.now() < this.circuitOpenUntil;
+    return {
+      state: circuitOpen ? 'circuit-open' : this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      circuitOpenUntil: circuitOpen ? new Date(this.circuitOpenUntil).toISOString() : null,
+      lastSuccess: this.lastSuccess,
+      lastError: this.lastError,
+      session: {
+        loggedIn: this.isLoggedIn,
+        logins: this.loginCount,
+        lastLogin: this.lastLogin,
+        restores: this.sessionRestores,
+        refreshes: this.sessionRefreshes,
+        expiresAt: this.sessionExpiresAt ? new Date(this.sessionExpiresAt).toISOString() : null
+      },
+      plants: this.plantHealth
+    };
+  }
+
+  // Detaches the browser first, so nothing starts using it while it shuts down
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    const browser = this.browser;
+    if (browser) {
       this.browser = null;
       this.page = null;
       this.isLoggedIn = false;
-      console.log('Browser closed');
+      await browser.close();
+      this.log.info('Browser closed');
     }
   }
 
-  getLatestData() {
+  getLatestData(plantId) {
+    if (plantId) {
+      return this.latestByPlant[plantId] || null;
+    }
     return this.latestData;
   }
+
+  getPlant(plantId) {
+    return this.plants.find(p => p.id === plantId) || null;
+  }
 }
 
 module.exports = SoleronScraper;
@@ -1,70 +1,630 @@
 const express = require('express');
 const path = require('path');
-const axios = require('axios');
 const SoleronScraper = require('./scraper');
+const HistoryStore = require('./history');
+const { parsePlants } = require('./plants');
+const DerivedMetrics = require('./derived-metrics');
+const Auth = require('./auth');
+const PriceService = require('./prices');
+const Metrics = require('./metrics');
+const MqttPublisher = require('./mqtt');
+const AlertEngine = require('./alerts');
+const EnergyAccounting = require('./energy');
+const CostCalculator = require('./costs');
+const Exporter = require('./export');
+const ScheduleRecommender = require('./schedule');
+const ScrapeScheduler = require('./scrape-scheduler');
+const ScrapeQueue = require('./scrape-queue');
+const DiagnosticsStore = require('./diagnostics');
+const Forecaster = require('./forecast');
+const ActivationAnalyzer = require('./mfrr-activations');
+
+// TRUST_PROXY: off (default), a number of proxy hops, or comma-separated proxy
+// addresses / subnets (e.g. "loopback, 10.0.0.0/8"). With "true" every
+// X-Forwarded-For entry is believed, so any client can pick its own IP.
+function parseTrustProxy(value) {
+  const text = String(value ?? '').trim();
+  if (!text || ['off', 'false', '0'].includes(text.toLowerCase())) return false;
+  if (text.toLowerCase() === 'true') return true;
+  if (/^\d+$/.test(text)) return parseInt(text);
+  // Compiled the way Express will use it, so a bad address fails here
+  express().set('trust proxy', text);
+  return text;
+}
 
 class Server {
-  constructor(port, scrapeInterval) {
+  constructor(port, scrapeInterval, options = {}) {
     this.port = port;
     this.scrapeInterval = scrapeInterval;
     this.app = express();
     this.scraper = null;
-    this.scrapeTimer = null;
-    this.lastActivity = Date.now();
-    this.inactivityTimeout = 30 * 60 * 1000; // 30 minutes
+    this.plants = options.plants || parsePlants();
+    this.scraperOptions = options.scraper || {};
+    // Debug bundles of failed scrape stages; disabled when no directory is set
+    this.diagnostics = options.diagnostics && options.diagnostics.dir
+      ? new DiagnosticsStore(options.diagnostics.dir, { maxBundles: options.diagnostics.maxBundles })
+      : null;
+    // Data older than this is flagged as stale (default: three missed scrape intervals)
+    this.staleAfter = options.staleAfter || scrapeInterval * 3;
+    this.prices = new PriceService(
+      options.priceCacheFile || path.join(process.cwd(), 'data', 'price-cache.json'),
+      options.prices
+    );
+    this.derivedMetrics = options.derivedMetrics || new DerivedMetrics();
+    this.mqtt = options.mqtt && options.mqtt.url
+      ? new MqttPublisher(options.mqtt, this.plants, this.derivedMetrics)
+      : null;
+    this.metrics = new Metrics();
+    this.metrics.attachPrices(this.prices);
+    this.alerts = options.alerts || new AlertEngine();
+    this.alerts.attachPrices(this.prices);
+    this.history = new HistoryStore(
+      options.historyFile || path.join(process.cwd(), 'data', 'energy-history.jsonl'),
+      options.historyRetentionDays || 30
+    );
+    this.energy = new EnergyAccounting(
+      options.energyTotalsFile || path.join(process.cwd(), 'data', 'energy-totals.json'),
+      { maxGapMs: options.energyMaxGap }
+    );
+    this.costs = new CostCalculator(options.costs);
+    this.scheduler = new ScheduleRecommender({ ...options.battery, ...options.costs });
+    this.exporter = new Exporter({ history: this.history, prices: this.prices, derivedMetrics: this.derivedMetrics });
+    this.activations = new ActivationAnalyzer(options.mfrrActivations);
+    this.forecaster = new Forecaster({
+      history: this.history,
+      derivedMetrics: this.derivedMetrics,
+      battery: options.battery,
+      ...options.forecast
+    });
+    this.streamClients = new Set();
+    // Every scrape goes through the queue, so only one job uses the browser at a time
+    this.scrapeQueue = new ScrapeQueue((job) => this.scraper.scrape({ signal: job.signal, scrapeId: job.scrapeId }), {
+      timeout: options.scrapeJobTimeout
+    });
+    this.scrapeLoop = new ScrapeScheduler(() => this.scrapeQueue.enqueue('schedule').promise, {
+      ...options.scrapeSchedule,
+      interval: scrapeInterval,
+      // An open live stream counts as activity
+      isActive: () => this.streamClients.size > 0,
+      checkActivation: () => this.isMfrrActive()
+    });
+    this.auth = options.auth || new Auth();
+    this.trustProxy = options.trustProxy ?? false;
+    this.sessionSweepTimer = null;
 
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
+    // Behind a reverse proxy (e.g. Railway's) this gives req.secure and the client IP;
+    // off by default, otherwise clients could spoof X-Forwarded-For past the login lockout
+    this.app.set('trust proxy', this.trustProxy);
     this.app.use(express.json());
+    // The dashboard shell is public; all data comes from the protected API
     this.app.use(express.static(path.join(__dirname, 'public')));
+
+    this.setupAuthRoutes();
+
+    // Everything else under /api (and /metrics) needs a session cookie or a bearer token
+    this.app.use('/api', (req, res, next) => this.requireAuth(req, res, next));
+  }
+
+  requireAuth(req, res, next) {
+    // Background requests (polling, live stream) must not keep an idle session alive
+    const background = req.get('X-Background-Request') === '1' || req.path === '/energy/stream';
+    const user = this.auth.authenticate(req, !background);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Login required or session expired'
+      });
+    }
+
+    req.user = user;
+    next();
+  }
+
+  setupAuthRoutes() {
+    this.app.post('/api/login', (req, res) => {
+      const { username, password } = req.body || {};
+
+      // Anything else (numbers, objects) would make the password hashing throw
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'username and password must be strings'
+        });
+      }
+
+      if (this.auth.isLockedOut(req.ip)) {
+        console.log(`[AUTH] Login blocked for ${req.ip} (too many failed attempts)`);
+        return res.status(429).json({
+          error: 'Too many failed attempts',
+          message: 'Try again in 15 minutes'
+        });
+      }
+
+      const sid = this.auth.login(username, password, req.ip);
+      if (!sid) {
+        console.log(`[AUTH] Failed login for "${username}" from ${req.ip}`);
+        return res.status(401).json({
+          error: 'Invalid credentials'
+        });
+      }
+
+      console.log(`[AUTH] User "${username}" logged in from ${req.ip}`);
+      const session = this.auth.getSession(sid, false);
+      res.setHeader('Set-Cookie', this.auth.sessionCookie(sid, req.secure));
+      res.json({
+        success: true,
+        username,
+        expiresAt: this.auth.expiresAt(session)
+      });
+    });
+
+    this.app.post('/api/logout', (req, res) => {
+      const user = this.auth.authenticate(req, false);
+      if (user && user.sid) {
+        this.auth.logout(user.sid);
+        this.closeStreamsForSessions([user.sid]);
+      }
+      res.setHeader('Set-Cookie', this.auth.clearCookie());
+      res.json({ success: true });
+    });
+
+    // Session status without extending it
+    this.app.get('/api/session', (req, res) => {
+      const user = this.auth.authenticate(req, false);
+      res.json({
+        authenticated: !!user,
+        username: user ? user.name : null,
+        expiresAt: user && user.session ? this.auth.expiresAt(user.session) : null
+      });
+    });
   }
 
   setupRoutes() {
-    // Health check endpoint
+    // Health check endpoint: ok, degraded (last cycle failed, stale or some plants failing)
+    // or failed (circuit open or no usable data) - the latter with HTTP 503
     this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'ok',
+      const health = this.getHealth();
+      res.status(health.status === 'failed' ? 503 : 200).json({
+        ...health,
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       });
     });
 
-    // API endpoint for energy data
+    // Prometheus exporter (use an API token as bearer credentials)
+    this.app.get('/metrics', (req, res, next) => this.requireAuth(req, res, next), async (req, res) => {
+      try {
+        res.set('Content-Type', this.metrics.contentType());
+        res.send(await this.metrics.render());
+      } catch (error) {
+        res.status(500).send(error.message);
+      }
+    });
+
+    // API endpoint for energy data (default plant, or ?plant=<id>)
     this.app.get('/api/energy', (req, res) => {
-      const now = Date.now();
-      const timeSinceLastActivity = now - this.lastActivity;
+      this.sendPlantEnergy(req.query.plant || this.plants[0].id, res);
+    });
+
+    // Dashboard reports user interaction here; the auth middleware extends the session
+    this.app.post('/api/session/activity', (req, res) => {
+      res.json({
+        success: true,
+        expiresAt: req.user.session ? this.auth.expiresAt(req.user.session) : null
+      });
+    });
 
-      console.log(`[API] /api/energy request - Time since last: ${Math.floor(timeSinceLastActivity / 1000)}s`);
+    // Server-Sent Events stream: pushes each snapshot as soon as a scrape finishes,
+    // plus scrape status events (started, failed, recovered)
+    this.app.get('/api/energy/stream', (req, res) => {
+      const plantId = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plantId, res)) return;
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 5000\n\n');
 
-      // Update activity timestamp
-      this.lastActivity = now;
+      const client = { res, plantId, sid: req.user.sid };
+      this.streamClients.add(client);
+      console.log(`[STREAM] Client connected (plant ${plantId}, ${this.streamClients.size} total)`);
 
-      // Ensure scraping loop is running
-      this.ensureScrapingLoop();
+      // Send what we have right away so the dashboard doesn't wait for the next scrape
+      const latest = this.scraper ? this.scraper.getLatestData(plantId) : null;
+      if (latest) {
+        this.sendEvent(res, 'snapshot', { data: latest, lastUpdate: latest.timestamp });
+      }
 
-      const data = this.scraper ? this.scraper.getLatestData() : null;
+      // Keep proxies from closing an idle connection
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
 
-      if (!data) {
-        return res.status(503).json({
-          error: 'Data not available yet',
-          message: 'Scraper is initializing. Please try again in a moment.'
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.streamClients.delete(client);
+        console.log(`[STREAM] Client disconnected (${this.streamClients.size} remaining)`);
+      });
+
+      this.scrapeLoop.activity();
+    });
+
+    // Scrape loop mode, current interval and the next planned run
+    this.app.get('/api/scrape/schedule', (req, res) => {
+      res.json({
+        success: true,
+        ...this.scrapeLoop.getStatus()
+      });
+    });
+
+    // Running, queued and recently finished scrape jobs
+    this.app.get('/api/scrape/jobs', (req, res) => {
+      res.json({
+        success: true,
+        ...this.scrapeQueue.getStatus()
+      });
+    });
+
+    this.app.post('/api/scrape/jobs/:id/cancel', (req, res) => {
+      if (!this.scrapeQueue.cancel(parseInt(req.params.id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+          message: `No queued or running scrape job with id ${req.params.id}`
         });
       }
+      res.json({ success: true, ...this.scrapeQueue.getStatus() });
+    });
 
+    // API endpoint listing configured plants
+    this.app.get('/api/plants', (req, res) => {
       res.json({
         success: true,
-        data: data,
-        lastUpdate: data.timestamp
+        data: this.plants.map(plant => {
+          const latest = this.scraper ? this.scraper.getLatestData(plant.id) : null;
+          return {
+            id: plant.id,
+            name: plant.name,
+            lastUpdate: latest ? latest.timestamp : null
+          };
+        })
       });
     });
 
+    // API endpoint for energy data of a single plant
+    this.app.get('/api/plants/:id/energy', (req, res) => {
+      this.sendPlantEnergy(req.params.id, res);
+    });
+
+    // API endpoint for stored energy history (raw or downsampled)
+    this.app.get('/api/energy/history', (req, res) => {
+      const { start, end, resolution = 'raw' } = req.query;
+      // One plant at a time (default: the first), so plants are never mixed or averaged together
+      const plant = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plant, res)) return;
+
+      const endDate = end ? new Date(end) : new Date();
+      const startDate = start ? new Date(start) : new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
+
+      if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: 'start and end must be valid dates with start before end'
+        });
+      }
+
+      let points;
+      try {
+        points = this.history.query(startDate, endDate, resolution, plant);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid resolution',
+          message: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        series: [...HistoryStore.SERIES, ...this.derivedMetrics.names()],
+        data: points,
+        range: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        resolution,
+        plant
+      });
+    });
+
+    // Energy totals in kWh per hour, day or month
+    this.app.get('/api/energy/totals', (req, res) => {
+      const { period = 'day', start, end } = req.query;
+      const plantId = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plantId, res)) return;
+
+      if (!EnergyAccounting.PERIODS.includes(period)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid period',
+          message: 'period must be hour, day or month'
+        });
+      }
+
+      const endDate = end ? new Date(end) : new Date();
+      const startDate = start ? new Date(start) : EnergyAccounting.defaultStart(period, endDate);
+
+      if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: 'start and end must be valid dates with start before end'
+        });
+      }
+
+      const { totals, summary } = this.energy.getTotals(plantId, period, startDate, endDate);
+      res.json({
+        success: true,
+        plant: plantId,
+        period,
+        unit: 'kWh',
+        range: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        totals,
+        summary
+      });
+    });
+
+    // Grid cost, export revenue and estimated mFRR revenue from stored snapshots and prices
+    this.app.get('/api/costs', async (req, res) => {
+      const { start, end, hours = 24, resolution = '1h' } = req.query;
+      const plantId = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plantId, res)) return;
+
+      if (!CostCalculator.RESOLUTIONS.includes(resolution)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid resolution',
+          message: 'resolution must be 15m or 1h'
+        });
+      }
+
+      const endDate = end ? new Date(end) : new Date();
+      const startDate = start ? new Date(start) : new Date(endDate.getTime() - hours * 60 * 60 * 1000);
+
+      if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: 'start and end must be valid dates with start before end'
+        });
+      }
+
+      try {
+        // Align to whole 15-minute slots so every slot is priced completely
+        const slotStart = new Date(Math.floor(startDate.getTime() / CostCalculator.SLOT_MS) * CostCalculator.SLOT_MS);
+        // Include the reading before the range so its first slot is integrated from the start
+        const snapshots = this.history.range(new Date(slotStart.getTime() - this.energy.maxGapMs), endDate, plantId);
+        const slots = this.energy.integrateSnapshots(snapshots, CostCalculator.SLOT_MS);
+        for (const key of Object.keys(slots)) {
+          if (Number(key) < slotStart.getTime()) delete slots[key];
+        }
+
+        const { series, errors } = await this.prices.getPrices(slotStart, endDate);
+        const { data, summary } = this.costs.calculate(slots, series, resolution);
+
+        res.json({
+          success: true,
+          plant: plantId,
+          resolution,
+          currency: 'EUR',
+          tariff: {
+            networkTariff: this.costs.networkTariff,
+            margin: this.costs.margin
+          },
+          data,
+          summary,
+          errors,
+          range: {
+            start: slotStart.toISOString(),
+            end: endDate.toISOString()
+          }
+        });
+      } catch (error) {
+        console.error('Cost calculation error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to calculate costs',
+          message: error.message
+        });
+      }
+    });
+
+    // How the plant's battery and grid followed each mFRR up/down activation
+    this.app.get('/api/mfrr/activations', async (req, res) => {
+      const { start, end, hours = 24 } = req.query;
+      const plantId = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plantId, res)) return;
+
+      const endDate = end ? new Date(end) : new Date();
+      const startDate = start ? new Date(start) : new Date(endDate.getTime() - hours * 60 * 60 * 1000);
+
+      if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: 'start and end must be valid dates with start before end'
+        });
+      }
+
+      try {
+        const { series, errors } = await this.prices.getPrices(startDate, endDate);
+        // The baseline of the first activation lies before the range
+        const snapshots = this.history.range(new Date(startDate.getTime() - this.activations.baselineMs), endDate, plantId);
+        const { activations, summary } = this.activations.analyze(snapshots, series, startDate, endDate);
+
+        res.json({
+          success: true,
+          plant: plantId,
+          area: this.prices.areas[0],
+          settings: {
+            baselineMinutes: this.activations.baselineMs / 60000,
+            minResponseKw: this.activations.minResponseKw
+          },
+          activations,
+          summary,
+          errors,
+          range: {
+            start: startDate.toISOString(),
+            end: endDate.toISOString()
+          }
+        });
+      } catch (error) {
+        console.error('mFRR activation report error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to build activation report',
+          message: error.message
+        });
+      }
+    });
+
+    // Download energy history, derived loads or prices as CSV, JSON Lines or XLSX
+    this.app.get('/api/export', async (req, res) => {
+      // One plant per file (default: the first); prices don't depend on the plant
+      const plant = req.query.plant || this.plants[0].id;
+      if (this.rejectUnknownPlant(plant, res)) return;
+
+      let options;
+      try {
+        options = this.exporter.parseOptions({ ...req.query, plant });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid export parameters',
+          message: error.message
+        });
+      }
+
+      let rows;
+      try {
+        rows = await this.exporter.rows(options);
+      } catch (error) {
+        console.error('Export error:', error.message);
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to load export data',
+          message: error.message
+        });
+      }
+
+      res.setHeader('Content-Type', this.exporter.contentType(options.format));
+      res.setHeader('Content-Disposition', `attachment; filename="${this.exporter.filename(options)}"`);
+
+      try {
+        const count = await this.exporter.write(res, options, rows);
+        console.log(`[API] Export ${options.dataset} (${count} rows) as ${options.format}`);
+      } catch (error) {
+        // Headers are already sent; all we can do is cut the download short
+        console.error('Export stream failed:', error.message);
+        res.destroy(error);
+      }
+    });
+
+    // Recommended battery plan for the hours with known day-ahead prices
+    this.app.get('/api/schedule', async (req, res) => {
+      const plantId = req.query.plant || this.plants[0].id;
+      const start = Math.floor(Date.now() / (60 * 60 * 1000)) * 60 * 60 * 1000;
+
+      // Current SoC; without a reading assume the battery sits at its reserve
+      const latest = this.scraper ? this.scraper.getLatestData(plantId) : null;
+      const measuredSoc = typeof latest?.battery?.soc === 'number' ? latest.battery.soc : null;
+      const soc = measuredSoc ?? this.scheduler.reserveSoc;
+
+      try {
+        const profileDays = 14;
+        const history = this.history.query(new Date(start - profileDays * 24 * 60 * 60 * 1000), new Date(start), '1h', plantId);
+        const profile = ScheduleRecommender.typicalProfile(history);
+
+        const { series, errors } = await this.prices.getPrices(new Date(start), new Date(start + 48 * 60 * 60 * 1000));
+        if (!series.nordpool || series.nordpool.length === 0) {
+          return res.status(502).json({
+            success: false,
+            error: 'No day-ahead prices',
+            message: errors.nordpool || 'Nord Pool prices for the coming hours are not published yet'
+          });
+        }
+
+        const { plan, summary } = this.scheduler.recommend({ prices: series.nordpool, profile, soc, start });
+        res.json({
+          success: true,
+          plant: plantId,
+          currency: 'EUR',
+          battery: this.scheduler.config,
+          initialSoc: soc,
+          socMeasured: measuredSoc !== null,
+          profileDays,
+          plan,
+          summary
+        });
+      } catch (error) {
+        console.error('Schedule error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to build schedule',
+          message: error.message
+        });
+      }
+    });
+
+    // Expected solar, consumption, derived loads and battery SoC for the coming hours
+    this.app.get('/api/forecast', async (req, res) => {
+      const plantId = req.query.plant || this.plants[0].id;
+      const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > 48) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid hours',
+          message: 'hours must be a whole number from 1 to 48'
+        });
+      }
+
+      // Current SoC; without a reading assume the battery sits at its reserve
+      const latest = this.scraper ? this.scraper.getLatestData(plantId) : null;
+      const measuredSoc = typeof latest?.battery?.soc === 'number' ? latest.battery.soc : null;
+
+      try {
+        const forecast = await this.forecaster.forecast({ plantId, soc: measuredSoc, hours });
+        res.json({
+          success: true,
+          plant: plantId,
+          series: ['solar', 'consumption', 'car', 'battery', 'batterySoc', ...this.derivedMetrics.names()],
+          socMeasured: measuredSoc !== null,
+          ...forecast
+        });
+      } catch (error) {
+        console.error('Forecast error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to build forecast',
+          message: error.message
+        });
+      }
+    });
+
     // API endpoint to trigger manual refresh
     this.app.post('/api/refresh', async (req, res) => {
-      this.lastActivity = Date.now();
-      this.ensureScrapingLoop();
+      this.scrapeLoop.activity();
 
       if (!this.scraper) {
         return res.status(503).json({
@@ -74,13 +634,17 @@ class Server {
 
       console.log('\n--- Manual refresh triggered ---');
       try {
-        await this.scraper.scrape();
-        const data = this.scraper.getLatestData();
-        res.json({
-          success: true,
-          data: data,
-          lastUpdate: data.timestamp
-        });
+        // Shares the result of a scrape that is already queued or running
+        await this.scrapeQueue.enqueue('manual').promise;
+        const data = this.scraper.getLatestData(req.query.plant);
+        if (!data) {
+          return res.status(500).json({
+            success: false,
+            error: 'Scrape failed',
+            message: 'No data available for this plant'
+          });
+        }
+        res.json(this.energyPayload(data));
       } catch (error) {
         console.error('Manual refresh failed:', error);
         res.status(500).json({
@@ -91,34 +655,54 @@ class Server {
       }
     });
 
-    // API endpoint for price data (mFRR + Nord Pool)
+    // API endpoint for price data (Nord Pool + mFRR), served from the local cache
     this.app.get('/api/prices', async (req, res) => {
-      try {
-        const { start, end, hours = 24 } = req.query;
+      const { start, end, hours = 24 } = req.query;
+
+      // One or more bidding zones, e.g. ?area=EE,FI; defaults to the configured ones
+      let areas = this.prices.areas;
+      if (req.query.area) {
+        try {
+          areas = PriceService.parseAreas(req.query.area);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid area',
+            message: error.message
+          });
+        }
+      }
 
-        // Calculate time range
-        const endDate = end ? new Date(end) : new Date();
-        const startDate = start ? new Date(start) : new Date(endDate.getTime() - hours * 60 * 60 * 1000);
+      // Calculate time range
+      const endDate = end ? new Date(end) : new Date();
+      const startDate = start ? new Date(start) : new Date(endDate.getTime() - hours * 60 * 60 * 1000);
 
-        // Format dates for APIs
-        const formatDateBaltic = (d) => d.toISOString().slice(0, 16).replace('T', 'T');
-        const formatDateElering = (d) => d.toISOString();
+      if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: 'start and end must be valid dates with start before end'
+        });
+      }
 
-        console.log(`[API] /api/prices request - Range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
+      console.log(`[API] /api/prices request - Range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
 
-        // Fetch data from both APIs in parallel
-        const [balticData, eleringData] = await Promise.all([
-          this.fetchBalticPrices(formatDateBaltic(startDate), formatDateBaltic(endDate)),
-          this.fetchEleringPrices(formatDateElering(startDate), formatDateElering(endDate))
-        ]);
+      // `data` is always the primary area (its mFRR data is what the plant takes part in),
+      // whatever zones are selected for the Nord Pool comparison
+      const primary = this.prices.areas[0];
 
-        res.json({
-          success: true,
-          data: {
-            mfrr: balticData.mfrr || [],
-            volumes: balticData.volumes || [],
-            nordpool: eleringData || []
-          },
+      try {
+        const result = await this.prices.getPrices(startDate, endDate, [primary, ...areas.filter(a => a !== primary)]);
+        const { series, errors } = result;
+        const allFailed = Object.keys(errors).length === PriceService.SOURCES.length &&
+          Object.values(series).every(points => points.length === 0);
+
+        res.status(allFailed ? 502 : 200).json({
+          success: !allFailed,
+          data: series,
+          area: primary,
+          areas: Object.fromEntries(areas.map(area => [area, result.areas[area]])),
+          errors,
           range: {
             start: startDate.toISOString(),
             end: endDate.toISOString()
@@ -134,15 +718,215 @@ class Server {
       }
     });
 
+    // Active and recently resolved alerts
+    this.app.get('/api/alerts', (req, res) => {
+      res.json({
+        success: true,
+        active: this.alerts.getActive(),
+        recent: this.alerts.getRecent(),
+        rules: this.alerts.rules
+      });
+    });
+
+    // Debug bundles of recently failed scrape stages, newest first; ?scrape= filters by correlation id
+    this.app.get('/api/diagnostics', async (req, res) => {
+      if (!this.diagnostics) {
+        return res.json({ success: true, enabled: false, bundles: [] });
+      }
+      let bundles;
+      try {
+        bundles = await this.diagnostics.list();
+      } catch (error) {
+        console.error('Diagnostics error:', error.message);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to read debug bundles',
+          message: error.message
+        });
+      }
+      if (req.query.scrape) {
+        bundles = bundles.filter(b => b.scrapeId === req.query.scrape);
+      }
+      res.json({
+        success: true,
+        enabled: true,
+        lastError: this.scraper ? this.scraper.lastError : null,
+        bundles: bundles.map(bundle => ({
+          ...bundle,
+          links: Object.fromEntries(bundle.artifacts.map(name => [name, `/api/diagnostics/${bundle.id}/${name}`]))
+        }))
+      });
+    });
+
+    this.app.get('/api/diagnostics/:id/:artifact', async (req, res) => {
+      const artifact = this.diagnostics ? await this.diagnostics.artifact(req.params.id, req.params.artifact) : null;
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          error: 'Artifact not found',
+          message: `No artifact "${req.params.artifact}" in debug bundle ${req.params.id}. ` +
+            `Artifacts are ${DiagnosticsStore.ARTIFACTS.join(', ')}; old bundles are rotated away`
+        });
+      }
+      res.setHeader('Content-Type', artifact.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}-${req.params.artifact}"`);
+      res.sendFile(path.resolve(artifact.path));
+    });
+
     // Serve dashboard
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, 'public', 'index.html'));
     });
   }
 
+  // Sends a 404 for a plant id that is not configured; true when it did
+  rejectUnknownPlant(plantId, res) {
+    if (this.plants.some(p => p.id === plantId)) return false;
+    res.status(404).json({
+      error: 'Unknown plant',
+      message: `No plant configured with id "${plantId}"`
+    });
+    return true;
+  }
+
+  sendPlantEnergy(plantId, res) {
+    const timeSinceLastActivity = Date.now() - this.scrapeLoop.lastActivity;
+
+    console.log(`[API] energy request for plant ${plantId} - Time since last: ${Math.floor(timeSinceLastActivity / 1000)}s`);
+
+    if (this.rejectUnknownPlant(plantId, res)) return;
+
+    // Counts as activity for the on-demand scrape loop
+    this.scrapeLoop.activity();
+
+    const data = this.scraper ? this.scraper.getLatestData(plantId) : null;
+
+    if (!data) {
+      return res.status(503).json({
+        error: 'Data not available yet',
+        message: 'Scraper is initializing. Please try again in a moment.'
+      });
+    }
+
+    res.json(this.energyPayload(data));
+  }
+
+  // Energy response with the age of the data, so clients can't mistake old numbers for fresh ones
+  energyPayload(data) {
+    const ageSeconds = Math.round((Date.now() - Date.parse(data.timestamp)) / 1000);
+    return {
+      success: true,
+      data: data,
+      lastUpdate: data.timestamp,
+      ageSeconds,
+      stale: ageSeconds * 1000 > this.staleAfter
+    };
+  }
+
+  getHealth() {
+    if (!this.scraper) {
+      return { status: 'failed', reason: 'Scraper not initialized' };
+    }
+
+    const scraper = this.scraper.getHealth();
+    const plants = this.plants.map(plant => {
+      const latest = this.scraper.getLatestData(plant.id);
+      const ageSeconds = latest ? Math.round((Date.now() - Date.parse(latest.timestamp)) / 1000) : null;
+      return {
+        id: plant.id,
+        name: plant.name,
+        lastUpdate: latest ? latest.timestamp : null,
+        ageSeconds,
+        stale: ageSeconds === null || ageSeconds * 1000 > this.staleAfter,
+        lastError: scraper.plants[plant.id]?.lastError || null
+      };
+    });
+
+    let status = 'ok';
+    let reason = null;
+    if (scraper.state === 'circuit-open') {
+      status = 'failed';
+      reason = 'Circuit breaker open after repeated failures';
+    } else if (plants.every(p => p.lastUpdate === null) && scraper.lastError) {
+      status = 'failed';
+      reason = 'No successful scrape yet';
+    } else if (scraper.consecutiveFailures > 0) {
+      status = 'degraded';
+      reason = 'Last scrape cycle failed';
+    } else if (plants.some(p => p.stale && p.lastUpdate !== null) && this.scrapeLoop.running) {
+      // Stale data only matters while we are supposed to be scraping
+      status = 'degraded';
+      reason = 'Some plants have stale data';
+    }
+
+    return {
+      status,
+      reason,
+      scraper: {
+        state: scraper.state,
+        consecutiveFailures: scraper.consecutiveFailures,
+        circuitOpenUntil: scraper.circuitOpenUntil,
+        lastSuccess: scraper.lastSuccess,
+        lastError: scraper.lastError,
+        loop: this.scrapeLoop.getStatus()
+      },
+      plants
+    };
+  }
+
   async initializeScraper(username, password) {
     console.log('Initializing scraper instance...');
-    this.scraper = new SoleronScraper(username, password);
+    this.scraper = new SoleronScraper(username, password, this.plants, {
+      ...this.scraperOptions,
+      diagnostics: this.diagnostics
+    });
+
+    try {
+      await this.history.load();
+    } catch (e) {
+      console.error('Failed to load energy history:', e.message);
+    }
+    await this.prices.load();
+    await this.energy.load();
+
+    // Attach derived metrics first so every later listener sees them
+    this.scraper.on('data', (data) => {
+      data.derived = this.derivedMetrics.evaluate(data);
+    });
+
+    this.metrics.attachScraper(this.scraper);
+
+    this.energy.attachScraper(this.scraper);
+
+    this.scrapeLoop.attachScraper(this.scraper);
+
+    this.alerts.attachScraper(this.scraper, this.plants);
+
+    if (this.mqtt) {
+      this.mqtt.attachScraper(this.scraper);
+      this.mqtt.connect();
+    }
+
+    // Push snapshots and scrape status to live clients
+    this.scraper.on('data', (data) => {
+      for (const client of this.streamClients) {
+        if (client.plantId === data.plantId) {
+          this.sendEvent(client.res, 'snapshot', { data, lastUpdate: data.timestamp });
+        }
+      }
+    });
+    this.scraper.on('status', (status) => {
+      for (const client of this.streamClients) {
+        this.sendEvent(client.res, 'status', status);
+      }
+    });
+
+    // Persist every successful snapshot
+    this.scraper.on('data', (data) => {
+      this.history.append(data).catch(err => {
+        console.error('Failed to store snapshot:', err.message);
+      });
+    });
 
     // We don't start the loop here immediately. 
     // It will be started by the first request or manual trigger.
@@ -153,114 +937,76 @@ class Server {
 
     console.log('Performing initial startup scrape...');
     try {
-      await this.scraper.scrape();
+      await this.scrapeQueue.enqueue('startup').promise;
       console.log('Initial scrape completed.');
     } catch (e) {
       console.error('Initial scrape failed (will retry on demand):', e.message);
     }
   }
 
-  ensureScrapingLoop() {
-    if (this.scrapeTimer) return; // Already running
-
-    console.log('Starting scraping loop due to activity...');
-
-    // Run immediately if we haven't scraped recently? 
-    // The interval will run AFTER the delay. So if we need immediate data, we rely on the cached data 
-    // or the previous scrape.
-
-    this.scrapeTimer = setInterval(async () => {
-      const timeSinceLastActivity = Date.now() - this.lastActivity;
-      const minutesSinceActivity = Math.floor(timeSinceLastActivity / 1000 / 60);
-
-      console.log(`[LOOP] Check - Time since last activity: ${minutesSinceActivity} min (timeout: ${this.inactivityTimeout / 1000 / 60} min)`);
-
-      if (timeSinceLastActivity > this.inactivityTimeout) {
-        console.log(`[LOOP] STOPPING - No activity for ${minutesSinceActivity} minutes`);
-        this.stopLoop();
-        return;
+  // Tell live clients of ended sessions to log in again, then disconnect them
+  closeStreamsForSessions(sids) {
+    for (const client of this.streamClients) {
+      if (client.sid && sids.includes(client.sid)) {
+        this.sendEvent(client.res, 'session', { state: 'expired' });
+        client.res.end();
+        this.streamClients.delete(client);
       }
+    }
+  }
 
-      console.log(`[LOOP] Scraping... (interval: ${this.scrapeInterval / 1000}s)`);
-      await this.scraper.scrape();
-    }, this.scrapeInterval);
+  sendEvent(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
   }
 
-  stopLoop() {
-    if (this.scrapeTimer) {
-      clearInterval(this.scrapeTimer);
-      this.scrapeTimer = null;
-    }
+  // mFRR is being activated when the latest activation volume of the last half hour is non-zero
+  async isMfrrActive() {
+    const end = new Date();
+    const { series } = await this.prices.getPrices(new Date(end.getTime() - 30 * 60 * 1000), end);
+    const latest = (name) => {
+      const points = series[name] || [];
+      return points.length ? points[points.length - 1].value : 0;
+    };
+    return latest('volumeUp') !== 0 || latest('volumeDown') !== 0;
   }
 
   start() {
+    this.scrapeLoop.start();
+    this.alerts.start();
+    this.sessionSweepTimer = setInterval(() => {
+      const expired = this.auth.sweep();
+      if (expired.length > 0) {
+        console.log(`[AUTH] ${expired.length} session(s) expired due to inactivity`);
+        this.closeStreamsForSessions(expired);
+      }
+    }, 60 * 1000);
+
     this.app.listen(this.port, () => {
       console.log(`\nServer running on port ${this.port}`);
     });
   }
 
-  async fetchBalticPrices(startDate, endDate) {
-    try {
-      const url = 'https://api-baltic.transparency-dashboard.eu/api/v1/export';
-
-      // Fetch mFRR prices
-      const priceResponse = await axios.get(url, {
-        params: {
-          id: 'local_marginal_price_mfrr',
-          start_date: startDate,
-          end_date: endDate,
-          output_time_zone: 'EET',
-          output_format: 'json'
-        },
-        timeout: 10000
-      });
-
-      // Fetch mFRR volumes
-      const volumeResponse = await axios.get(url, {
-        params: {
-          id: 'normal_activations_mfrr',
-          start_date: startDate,
-          end_date: endDate,
-          output_time_zone: 'EET',
-          output_format: 'json'
-        },
-        timeout: 10000
-      });
-
-      return {
-        mfrr: priceResponse.data || [],
-        volumes: volumeResponse.data || []
-      };
-    } catch (error) {
-      console.error('Baltic API error:', error.message);
-      return { mfrr: [], volumes: [] };
+  async stop() {
+    this.scrapeLoop.stop();
+    this.scrapeQueue.cancelAll();
+    this.alerts.stop();
+    if (this.sessionSweepTimer) {
+      clearInterval(this.sessionSweepTimer);
+      this.sessionSweepTimer = null;
     }
-  }
-
-  async fetchEleringPrices(startDate, endDate) {
-    try {
-      const url = 'https://dashboard.elering.ee/api/nps/price';
-      const response = await axios.get(url, {
-        params: {
-          start: startDate,
-          end: endDate
-        },
-        timeout: 10000
-      });
-
-      return response.data?.data || [];
-    } catch (error) {
-      console.error('Elering API error:', error.message);
-      return [];
+    for (const client of this.streamClients) {
+      client.res.end();
+    }
+    this.streamClients.clear();
+    if (this.mqtt) {
+      await this.mqtt.close();
     }
-  }
-
-  async stop() {
-    this.stopLoop();
     if (this.scraper) {
       await this.scraper.close();
     }
   }
 }
 
+Server.parseTrustProxy = parseTrustProxy;
+
 module.exports = Server;
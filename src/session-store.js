@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Sessions older than this are not restored; the app's refresh tokens don't live longer
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Encrypted on-disk copy of the Soleron browser session (cookies, localStorage,
+// IndexedDB), so a restart doesn't need a fresh login. AES-256-GCM with a key
+// derived from the configured secret; a file that doesn't decrypt is ignored.
+class SessionStore {
+  constructor(filePath, secret) {
+    if (!secret) {
+      throw new Error('A secret is required to encrypt the browser session');
+    }
+    this.filePath = filePath;
+    this.key = crypto.scryptSync(secret, 'soleron-browser-session', 32);
+  }
+
+  async load() {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[SESSION] Ignoring unreadable session file:', error.message);
+      }
+      return null;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      const session = JSON.parse(plain.toString('utf8'));
+
+      if (Date.now() - Date.parse(session.savedAt) > MAX_AGE_MS) {
+        console.log('[SESSION] Saved session is too old, ignoring it');
+        return null;
+      }
+      return session;
+    } catch (error) {
+      // Wrong secret or tampered file
+      console.error('[SESSION] Could not decrypt saved session, ignoring it');
+      return null;
+    }
+  }
+
+  async save(session) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const plain = JSON.stringify({ ...session, savedAt: new Date().toISOString() });
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({
+      v: 1,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }), { mode: 0o600 });
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async clear() {
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,55 @@
+// Sanity checks for a scraped snapshot before it replaces the previous one.
+// A snapshot that fails here is treated as a failed scrape, never served as data.
+
+const DEVICES = ['solar', 'grid', 'battery', 'car', 'consumption'];
+
+// Plausibility bound for a single device load (W)
+const MAX_ABS_LOAD = 10 * 1000 * 1000;
+
+const isValidLoad = (v) => v === null || (typeof v === 'number' && isFinite(v) && Math.abs(v) <= MAX_ABS_LOAD);
+
+// Returns a list of problems; empty when the snapshot is usable
+function validateSnapshot(snapshot) {
+  const problems = [];
+
+  if (!snapshot || typeof snapshot !== 'object') {
+    return ['snapshot is empty'];
+  }
+  if (!snapshot.timestamp || isNaN(Date.parse(snapshot.timestamp))) {
+    problems.push('missing or invalid timestamp');
+  }
+
+  for (const device of DEVICES) {
+    if (!snapshot[device] || typeof snapshot[device] !== 'object') {
+      problems.push(`missing ${device} section`);
+    } else if (!isValidLoad(snapshot[device].load)) {
+      problems.push(`${device}.load is not a plausible number: ${snapshot[device].load}`);
+    }
+  }
+
+  if (DEVICES.every(device => snapshot[device]?.load === null || snapshot[device]?.load === undefined)) {
+    problems.push('all loads are null (page not rendered or layout changed)');
+  }
+
+  const soc = snapshot.battery?.soc;
+  if (soc !== null && soc !== undefined && (typeof soc !== 'number' || soc < 0 || soc > 100)) {
+    problems.push(`battery.soc out of range: ${soc}`);
+  }
+
+  for (const device of snapshot.devices || []) {
+    if (!isValidLoad(device.load)) {
+      problems.push(`device "${device.name}" load is not a plausible number: ${device.load}`);
+    }
+    if (device.soc !== null && (typeof device.soc !== 'number' || device.soc < 0 || device.soc > 100)) {
+      problems.push(`device "${device.name}" soc out of range: ${device.soc}`);
+    }
+  }
+
+  if (snapshot.mfrr !== null && snapshot.mfrr !== undefined && (typeof snapshot.mfrr !== 'number' || !isFinite(snapshot.mfrr))) {
+    problems.push(`mfrr is not a number: ${snapshot.mfrr}`);
+  }
+
+  return problems;
+}
+
+module.exports = { validateSnapshot };
@@ -0,0 +1,52 @@
+// Time zone helpers on top of Intl, for upstream APIs and exports that work in
+// local wall time instead of UTC
+
+// EET is what accounting asks for; it means Estonian local time (EET/EEST)
+const TIMEZONE_ALIASES = { UTC: 'UTC', EET: 'Europe/Tallinn' };
+
+function resolveTimezone(value = 'UTC') {
+  const timeZone = TIMEZONE_ALIASES[value.toUpperCase()] || value;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown timezone "${value}". Use UTC, EET or an IANA name like Europe/Tallinn`);
+  }
+  return timeZone;
+}
+
+// Wall-clock time in the zone as "YYYY-MM-DDTHH:mm:ss"
+function wallTime(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// Minutes the zone is ahead of UTC at that moment
+function offsetMinutes(timestamp, timeZone) {
+  const time = Math.floor(new Date(timestamp).getTime() / 1000) * 1000;
+  return Math.round((Date.parse(`${wallTime(time, timeZone)}Z`) - time) / 60000);
+}
+
+// ISO 8601 with the zone's offset, e.g. 2025-01-15T14:00:00+02:00
+function formatTimestamp(timestamp, timeZone) {
+  if (timeZone === 'UTC') return new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const offset = offsetMinutes(timestamp, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+  return `${wallTime(timestamp, timeZone)}${sign}${pad(offset / 60)}:${pad(offset % 60)}`;
+}
+
+// Wall time without an offset ("2025-01-15T14:00") read in the zone. In the
+// repeated hour when clocks go back, the later (standard time) instant is used.
+function parseWallTime(text, timeZone) {
+  const asUtc = Date.parse(`${text}Z`);
+  const guess = asUtc - offsetMinutes(asUtc, timeZone) * 60000;
+  return new Date(asUtc - offsetMinutes(guess, timeZone) * 60000);
+}
+
+module.exports = { resolveTimezone, wallTime, offsetMinutes, formatTimestamp, parseWallTime };